@@ -0,0 +1,437 @@
+// alarm-system.js - Complete replacement file
+
+// Alarm definitions, in display order within each priority
+const ALARM_DEFINITIONS = {
+  highPressure: { label: 'Pressure High', priority: 'high' },
+  disconnect: { label: 'Low PEEP / Disconnect', priority: 'high' },
+  apnea: { label: 'Apnea', priority: 'high' },
+  lowSpO2: { label: 'SpO2 Low', priority: 'high' },
+  lowPressure: { label: 'Pressure Low', priority: 'medium' },
+  lowExhaledVt: { label: 'VTe Low', priority: 'medium' },
+  highMinuteVolume: { label: 'MVe High', priority: 'medium' },
+  lowMinuteVolume: { label: 'MVe Low', priority: 'medium' },
+  highRate: { label: 'fTotal High', priority: 'medium' },
+  
+  // Device alarms the model cannot produce; only an instructor can inject them
+  gasSupply: { label: 'O2 Supply Low', priority: 'high' },
+  technicalFault: { label: 'Technical Fault', priority: 'medium' },
+  lowBattery: { label: 'Battery Low', priority: 'low' }
+};
+
+// Priority ranking and audio pattern (beeps per burst, repeat interval in ms)
+const ALARM_PRIORITIES = {
+  high: { rank: 3, beeps: 5, repeatInterval: 5000, frequency: 880 },
+  medium: { rank: 2, beeps: 3, repeatInterval: 10000, frequency: 660 },
+  low: { rank: 1, beeps: 1, repeatInterval: 20000, frequency: 520 }
+};
+
+const AUDIO_PAUSE_TIME = 120000;  // Audio pause / silence duration (ms)
+const DISCONNECT_TIME = 3000;     // Airway pressure must stay below the PEEP limit this long (ms)
+const SPO2_HYSTERESIS = 1;        // SpO2 must recover this far above the limit to clear (%)
+const MAX_LOG_ENTRIES = 200;
+
+// Alarm limits
+let alarmLimits = {
+  highPressure: 40,       // Peak pressure upper limit (cmH2O)
+  lowPressure: 8,         // Peak pressure lower limit (cmH2O)
+  lowExhaledVt: 250,      // Exhaled tidal volume lower limit (mL)
+  highMinuteVolume: 15,   // Minute volume upper limit (L/min)
+  lowMinuteVolume: 3,     // Minute volume lower limit (L/min)
+  highRate: 35,           // Total breath rate upper limit (breaths/min)
+  apneaTime: 20,          // Time without a breath before apnea alarm (s)
+  lowPeep: 2,             // Airway pressure lower limit (cmH2O)
+  lowSpO2: 88             // SpO2 lower limit (%)
+};
+
+// Settings of each limit: the alarm it belongs to, its unit and the range it
+// can be set in. A low limit must stay below the high limit it is paired with.
+const ALARM_LIMIT_SETTINGS = {
+  highPressure: { alarm: 'highPressure', unit: 'cmH2O', min: 10, max: 80 },
+  lowPressure: { alarm: 'lowPressure', unit: 'cmH2O', min: 1, max: 60, below: 'highPressure' },
+  lowExhaledVt: { alarm: 'lowExhaledVt', unit: 'mL', min: 0, max: 2000 },
+  highMinuteVolume: { alarm: 'highMinuteVolume', unit: 'L/min', min: 0.1, max: 60 },
+  lowMinuteVolume: { alarm: 'lowMinuteVolume', unit: 'L/min', min: 0, max: 50, below: 'highMinuteVolume' },
+  highRate: { alarm: 'highRate', unit: 'b/min', min: 5, max: 150 },
+  apneaTime: { alarm: 'apnea', unit: 's', min: 5, max: 60 },
+  lowPeep: { alarm: 'disconnect', unit: 'cmH2O', min: 0, max: 30 },
+  lowSpO2: { alarm: 'lowSpO2', unit: '%', min: 50, max: 99 }
+};
+
+// Alarm state
+let alarmStates = {};          // id -> { active, latched, since }
+let alarmLog = [];             // { time, id, event }
+let injectedAlarms = {};       // id -> true while an instructor holds the alarm active
+let audioPausedUntil = 0;      // Time until which alarm audio is paused
+let shownPauseSeconds = 0;     // Seconds of audio pause the silence button shows
+let lastToneTime = -Infinity;  // Time of the last audio burst
+let lastBreathStart = null;    // Time the last breath started
+let lastBreathPhase = null;
+let lowPressureSince = null;   // Time airway pressure dropped below the PEEP limit
+let currentTime = 0;           // Time of the latest sample (ms)
+let audioContext = null;
+
+// Initialize the alarm system
+function initializeAlarmSystem(limits) {
+  if (limits) setAlarmLimits(limits);
+  
+  alarmStates = {};
+  Object.keys(ALARM_DEFINITIONS).forEach(id => {
+    alarmStates[id] = { active: false, latched: false, since: null };
+  });
+  alarmLog = [];
+  injectedAlarms = {};
+  lastBreathStart = null;
+  lastBreathPhase = null;
+  lowPressureSince = null;
+  
+  setupAlarmControls();
+  renderAlarms();
+  
+  console.log('Alarm System Initialized');
+}
+
+// Check the alarms that respond to every sample
+function checkSample(results) {
+  currentTime = results.time;
+  
+  // Apnea: no breath has started for the apnea time
+  if (results.breathPhase === 'inspiration' && lastBreathPhase !== 'inspiration') {
+    lastBreathStart = results.time;
+  }
+  lastBreathPhase = results.breathPhase;
+  if (lastBreathStart === null) lastBreathStart = results.time;
+  setAlarmCondition('apnea', results.time - lastBreathStart >= alarmLimits.apneaTime * 1000);
+  
+  // High pressure responds immediately; it clears at the next breath below the limit
+  if (results.pressure > alarmLimits.highPressure) {
+    setAlarmCondition('highPressure', true);
+  }
+  
+  // Disconnect: airway pressure stays below the PEEP limit for a sustained time
+  if (results.pressure < alarmLimits.lowPeep) {
+    if (lowPressureSince === null) lowPressureSince = results.time;
+    if (results.time - lowPressureSince >= DISCONNECT_TIME) {
+      setAlarmCondition('disconnect', true);
+    }
+  } else {
+    lowPressureSince = null;
+  }
+  
+  // Low SpO2 with hysteresis so it does not chatter at the limit
+  if (results.spo2 < alarmLimits.lowSpO2) {
+    setAlarmCondition('lowSpO2', true);
+  } else if (results.spo2 >= alarmLimits.lowSpO2 + SPO2_HYSTERESIS) {
+    setAlarmCondition('lowSpO2', false);
+  }
+  
+  // Count the audio pause down once per simulated second
+  if (getAudioPauseSeconds() !== shownPauseSeconds) renderAudioPause();
+  
+  updateAlarmAudio();
+}
+
+// Check the alarms based on breath-by-breath measurements
+function checkBreath(measurements) {
+  currentTime = measurements.time;
+  
+  setAlarmCondition('highPressure', measurements.peakPressure > alarmLimits.highPressure);
+  setAlarmCondition('lowPressure', measurements.peakPressure < alarmLimits.lowPressure);
+  setAlarmCondition('lowExhaledVt', measurements.expiredTidalVolume < alarmLimits.lowExhaledVt);
+  setAlarmCondition('highMinuteVolume', measurements.minuteVentilation > alarmLimits.highMinuteVolume);
+  setAlarmCondition('lowMinuteVolume', measurements.minuteVentilation < alarmLimits.lowMinuteVolume);
+  setAlarmCondition('highRate', measurements.rate > alarmLimits.highRate);
+  setAlarmCondition('disconnect', measurements.peep < alarmLimits.lowPeep);
+  
+  updateAlarmAudio();
+}
+
+// Record a change in an alarm condition
+function setAlarmCondition(id, conditionMet) {
+  // An injected alarm stays active whatever the monitored values say
+  if (injectedAlarms[id]) conditionMet = true;
+  
+  const state = alarmStates[id];
+  if (!state || state.active === conditionMet) return;
+  
+  state.active = conditionMet;
+  if (conditionMet) {
+    // Alarms latch until the user resets them, even after the condition clears
+    state.latched = true;
+    state.since = currentTime;
+    logAlarmEvent(id, 'activated');
+    
+    // A new alarm sounds straight away unless audio is paused
+    lastToneTime = -Infinity;
+  } else {
+    logAlarmEvent(id, 'cleared');
+  }
+  
+  renderAlarms();
+  notifyAlarmsUpdated();
+}
+
+// Add an entry to the alarm log
+function logAlarmEvent(id, event) {
+  const entry = { time: currentTime, id: id, event: event };
+  alarmLog.push(entry);
+  if (alarmLog.length > MAX_LOG_ENTRIES) alarmLog.shift();
+  
+  document.dispatchEvent(new CustomEvent('alarm-logged', { detail: entry }));
+}
+
+// Pause alarm audio for two minutes
+function silenceAlarms() {
+  audioPausedUntil = currentTime + AUDIO_PAUSE_TIME;
+  logAlarmEvent(null, 'audio paused');
+  renderAlarms();
+}
+
+// Clear latched alarms whose condition has resolved
+function resetAlarms() {
+  Object.keys(alarmStates).forEach(id => {
+    const state = alarmStates[id];
+    if (state.latched && !state.active) {
+      state.latched = false;
+      state.since = null;
+    }
+  });
+  logAlarmEvent(null, 'reset');
+  renderAlarms();
+  notifyAlarmsUpdated();
+}
+
+// Force an alarm on, or release it back to the monitored condition
+function injectAlarm(id, active) {
+  if (!ALARM_DEFINITIONS[id]) return false;
+  
+  injectedAlarms[id] = active;
+  setAlarmCondition(id, active);
+  return true;
+}
+
+// Get currently active alarms, highest priority first
+function getActiveAlarms() {
+  return getSortedAlarms().filter(alarm => alarm.active);
+}
+
+// Get active and latched alarms, highest priority first
+function getSortedAlarms() {
+  return Object.keys(alarmStates)
+    .filter(id => alarmStates[id].latched)
+    .map(id => ({
+      id: id,
+      label: ALARM_DEFINITIONS[id].label,
+      priority: ALARM_DEFINITIONS[id].priority,
+      active: alarmStates[id].active,
+      since: alarmStates[id].since
+    }))
+    .sort((a, b) => {
+      // Active before resolved, then by priority
+      if (a.active !== b.active) return a.active ? -1 : 1;
+      return ALARM_PRIORITIES[b.priority].rank - ALARM_PRIORITIES[a.priority].rank;
+    });
+}
+
+// Update alarm limits. Each is kept within its range; a change that would put a
+// low limit at or above its high limit is rejected, leaving both as they were.
+// Returns the limits now in force.
+function setAlarmLimits(newLimits) {
+  const limits = {...alarmLimits};
+  Object.keys(newLimits).forEach(key => {
+    const setting = ALARM_LIMIT_SETTINGS[key];
+    const value = newLimits[key];
+    if (!setting || typeof value !== 'number' || !isFinite(value)) {
+      console.warn('Ignoring alarm limit:', key, value);
+      return;
+    }
+    limits[key] = Math.min(Math.max(value, setting.min), setting.max);
+  });
+  
+  Object.keys(ALARM_LIMIT_SETTINGS).forEach(key => {
+    const highKey = ALARM_LIMIT_SETTINGS[key].below;
+    if (highKey && limits[key] >= limits[highKey]) {
+      console.warn(`Alarm limit ${key} must be below ${highKey}`);
+      limits[key] = alarmLimits[key];
+      limits[highKey] = alarmLimits[highKey];
+    }
+  });
+  
+  alarmLimits = limits;
+  renderAlarmLimits();
+  return getAlarmLimits();
+}
+
+// Get a copy of the alarm limits
+function getAlarmLimits() {
+  return {...alarmLimits};
+}
+
+// Get the label and priority of every alarm
+function getAlarmDefinitions() {
+  return JSON.parse(JSON.stringify(ALARM_DEFINITIONS));
+}
+
+// Get a copy of the alarm log
+function getAlarmLog() {
+  return alarmLog.slice();
+}
+
+// Sound the highest priority active alarm at its repeat interval
+function updateAlarmAudio() {
+  const activeAlarms = getActiveAlarms();
+  if (activeAlarms.length === 0 || currentTime < audioPausedUntil) return;
+  
+  const priority = ALARM_PRIORITIES[activeAlarms[0].priority];
+  if (currentTime - lastToneTime >= priority.repeatInterval) {
+    lastToneTime = currentTime;
+    playAlarmTone(priority);
+  }
+}
+
+// Play one burst of beeps using Web Audio
+function playAlarmTone(priority) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass) return;
+  
+  try {
+    if (!audioContext) audioContext = new AudioContextClass();
+    
+    const startTime = audioContext.currentTime;
+    for (let i = 0; i < priority.beeps; i++) {
+      const oscillator = audioContext.createOscillator();
+      const gain = audioContext.createGain();
+      oscillator.frequency.value = priority.frequency;
+      gain.gain.value = 0.1;
+      oscillator.connect(gain);
+      gain.connect(audioContext.destination);
+      oscillator.start(startTime + i * 0.25);
+      oscillator.stop(startTime + i * 0.25 + 0.15);
+    }
+  } catch (error) {
+    // Browsers block audio until the user interacts with the page
+    console.warn('Alarm audio unavailable:', error.message);
+  }
+}
+
+// Set up silence/reset buttons and limit inputs
+function setupAlarmControls() {
+  const silenceButton = document.getElementById('alarm-silence-button');
+  if (silenceButton) {
+    silenceButton.addEventListener('click', silenceAlarms);
+  }
+  
+  const resetButton = document.getElementById('alarm-reset-button');
+  if (resetButton) {
+    resetButton.addEventListener('click', resetAlarms);
+  }
+  
+  // Build a numeric input for each limit, labelled with its alarm
+  const limitsPanel = document.getElementById('alarm-limits-panel');
+  if (limitsPanel) {
+    limitsPanel.innerHTML = '';
+    Object.keys(ALARM_LIMIT_SETTINGS).forEach(key => {
+      const setting = ALARM_LIMIT_SETTINGS[key];
+      const label = document.createElement('label');
+      label.className = 'alarm-limit';
+      label.textContent = `${ALARM_DEFINITIONS[setting.alarm].label} (${setting.unit})`;
+      
+      const input = document.createElement('input');
+      input.type = 'number';
+      input.id = 'alarm-limit-' + key;
+      input.min = setting.min;
+      input.max = setting.max;
+      input.value = alarmLimits[key];
+      input.addEventListener('change', function(e) {
+        // A rejected or clamped value shows the limit actually in force
+        const value = parseFloat(e.target.value);
+        if (isNaN(value)) {
+          renderAlarmLimits();
+        } else {
+          setAlarmLimits({ [key]: value });
+        }
+      });
+      
+      label.appendChild(input);
+      limitsPanel.appendChild(label);
+    });
+  }
+}
+
+// Show the limits in force on their inputs
+function renderAlarmLimits() {
+  Object.keys(alarmLimits).forEach(key => {
+    const input = document.getElementById('alarm-limit-' + key);
+    if (input) input.value = alarmLimits[key];
+  });
+}
+
+// Render the alarm banner, latched list and log
+function renderAlarms() {
+  const alarms = getSortedAlarms();
+  
+  const banner = document.getElementById('alarm-banner');
+  if (banner) {
+    const top = alarms[0];
+    banner.textContent = top ? top.label + (top.active ? '' : ' (resolved)') : '';
+    banner.className = top ? 'alarm-banner alarm-' + top.priority + (top.active ? ' alarm-active' : '') : 'alarm-banner';
+  }
+  
+  const list = document.getElementById('alarm-list');
+  if (list) {
+    list.innerHTML = '';
+    alarms.forEach(alarm => {
+      const item = document.createElement('li');
+      item.className = 'alarm-' + alarm.priority + (alarm.active ? ' alarm-active' : '');
+      item.textContent = alarm.label + (alarm.active ? '' : ' (resolved)');
+      list.appendChild(item);
+    });
+  }
+  
+  renderAudioPause();
+  
+  const log = document.getElementById('alarm-log');
+  if (log) {
+    log.innerHTML = '';
+    alarmLog.slice(-20).reverse().forEach(entry => {
+      const item = document.createElement('li');
+      const label = entry.id ? ALARM_DEFINITIONS[entry.id].label + ' ' : '';
+      item.textContent = (entry.time / 1000).toFixed(1) + 's ' + label + entry.event;
+      log.appendChild(item);
+    });
+  }
+}
+
+// Show the audio pause time left on the silence button
+function renderAudioPause() {
+  shownPauseSeconds = getAudioPauseSeconds();
+  
+  const silenceButton = document.getElementById('alarm-silence-button');
+  if (silenceButton) {
+    silenceButton.textContent = shownPauseSeconds > 0 ? 'Audio Paused ' + shownPauseSeconds + 's' : 'Audio Pause';
+  }
+}
+
+// Helper function to get the whole seconds of audio pause left
+function getAudioPauseSeconds() {
+  return Math.max(0, Math.ceil((audioPausedUntil - currentTime) / 1000));
+}
+
+// Notify observers that the alarm state changed
+function notifyAlarmsUpdated() {
+  document.dispatchEvent(new CustomEvent('alarms-updated', { detail: getActiveAlarms() }));
+}
+
+// Export functions
+window.AlarmSystem = {
+  initialize: initializeAlarmSystem,
+  checkSample: checkSample,
+  checkBreath: checkBreath,
+  silence: silenceAlarms,
+  reset: resetAlarms,
+  inject: injectAlarm,
+  setLimits: setAlarmLimits,
+  getLimits: getAlarmLimits,
+  getActiveAlarms: getActiveAlarms,
+  getLog: getAlarmLog,
+  getDefinitions: getAlarmDefinitions
+};
\ No newline at end of file
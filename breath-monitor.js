@@ -0,0 +1,150 @@
+// breath-monitor.js - Complete replacement file
+
+// Number of recent breaths averaged for rate and minute ventilation
+const AVERAGED_BREATHS = 4;
+
+// Breath currently being measured
+let currentBreath = null;
+
+// Previous sample, for phase transitions and integration
+let lastSample = null;
+
+// Measurements of recently completed breaths (newest last)
+let completedBreaths = [];
+
+// Latest measured values
+let latestMeasurements = null;
+
+// Reset all measurements
+function resetMonitor() {
+  currentBreath = null;
+  lastSample = null;
+  completedBreaths = [];
+  latestMeasurements = null;
+}
+
+// Start accumulating a new breath
+function startBreath(sample) {
+  currentBreath = {
+    startTime: sample.time,
+    inspirationEndTime: null,
+    breathType: sample.breathType,
+    peakPressure: sample.pressure,
+    pressureIntegral: 0,
+    inspiredVolume: 0,
+    expiredVolume: 0,
+    endExpiratoryPressure: sample.pressure
+  };
+}
+
+// Feed one SimulationCore.step result into the monitor.
+// Returns the new measurements when the sample completes a breath, otherwise null.
+function processSample(sample) {
+  let measurements = null;
+  
+  if (lastSample) {
+    const deltaTime = sample.time - lastSample.time;
+    
+    // A breath boundary is the expiration to inspiration transition
+    if (sample.breathPhase === 'inspiration' && lastSample.breathPhase === 'expiration') {
+      if (currentBreath) {
+        measurements = completeBreath(sample.time);
+      }
+      startBreath(sample);
+    } else if (currentBreath && deltaTime > 0) {
+      accumulateSample(sample, deltaTime);
+    }
+  }
+  
+  lastSample = sample;
+  return measurements;
+}
+
+// Add one sample to the current breath
+function accumulateSample(sample, deltaTime) {
+  // Flow is in L/min, which is mL/ms divided by 60
+  const volumeStep = sample.flow / 60 * deltaTime;
+  
+  currentBreath.peakPressure = Math.max(currentBreath.peakPressure, sample.pressure);
+  currentBreath.pressureIntegral += sample.pressure * deltaTime;
+  
+  if (volumeStep > 0) {
+    currentBreath.inspiredVolume += volumeStep;
+  } else {
+    currentBreath.expiredVolume -= volumeStep;
+  }
+  
+  if (sample.breathPhase === 'expiration') {
+    if (currentBreath.inspirationEndTime === null) {
+      currentBreath.inspirationEndTime = sample.time;
+    }
+    
+    // Stop tracking PEEP once the patient starts drawing gas, so the trigger dip is not counted
+    if (sample.flow <= 0) {
+      currentBreath.endExpiratoryPressure = sample.pressure;
+    }
+  }
+}
+
+// Derive the monitored values for the breath that just ended
+function completeBreath(endTime) {
+  const breath = currentBreath;
+  const duration = endTime - breath.startTime;
+  if (duration <= 0) return null;
+  
+  const inspirationEnd = breath.inspirationEndTime !== null ? breath.inspirationEndTime : endTime;
+  const inspiratoryTime = inspirationEnd - breath.startTime;
+  const expiratoryTime = endTime - inspirationEnd;
+  
+  completedBreaths.push({
+    endTime: endTime,
+    duration: duration,
+    expiredVolume: breath.expiredVolume
+  });
+  if (completedBreaths.length > AVERAGED_BREATHS) completedBreaths.shift();
+  
+  // Rate and minute ventilation are averaged over the last few breaths
+  const averageDuration = completedBreaths.reduce((total, b) => total + b.duration, 0) / completedBreaths.length;
+  const averageExpiredVolume = completedBreaths.reduce((total, b) => total + b.expiredVolume, 0) / completedBreaths.length;
+  const measuredRate = 60000 / averageDuration;
+  
+  // Dynamic compliance uses the pressure swing of the whole breath
+  const drivingPressure = breath.peakPressure - breath.endExpiratoryPressure;
+  
+  latestMeasurements = {
+    time: endTime,
+    breathType: breath.breathType,
+    peakPressure: breath.peakPressure,                       // cmH2O
+    meanPressure: breath.pressureIntegral / duration,        // cmH2O
+    peep: breath.endExpiratoryPressure,                      // cmH2O
+    inspiredTidalVolume: breath.inspiredVolume,              // mL
+    expiredTidalVolume: breath.expiredVolume,                // mL
+    minuteVentilation: averageExpiredVolume * measuredRate / 1000, // L/min
+    rate: measuredRate,                                      // breaths/min
+    inspiratoryTime: inspiratoryTime,                        // ms
+    expiratoryTime: expiratoryTime,                          // ms
+    ieRatio: expiratoryTime > 0 ? inspiratoryTime / expiratoryTime : null,
+    dynamicCompliance: drivingPressure > 0.5 ? breath.expiredVolume / drivingPressure : null // mL/cmH2O
+  };
+  
+  return latestMeasurements;
+}
+
+// Get the latest completed breath measurements
+function getMeasurements() {
+  return latestMeasurements;
+}
+
+// Export functions
+const BreathMonitor = {
+  reset: resetMonitor,
+  processSample: processSample,
+  getMeasurements: getMeasurements
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BreathMonitor;
+}
+if (typeof window !== 'undefined') {
+  window.BreathMonitor = BreathMonitor;
+}
\ No newline at end of file
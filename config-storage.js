@@ -0,0 +1,279 @@
+// config-storage.js - Complete replacement file
+
+// Keeps the configuration across reloads and shares it as a link. The
+// configuration is the ventilator settings, patient parameters, waveform display
+// options and custom presets:
+// { version, ventilatorSettings, patientParameters, display, customPresets }
+// Settings use the same keys as a ventsim-cli.js config file.
+
+const STORAGE_KEY = 'ventilator-simulation-config';
+const CONFIG_VERSION = 1;
+const HASH_PREFIX = '#config=';
+const SAVE_DELAY = 500;  // Settings that change gradually are saved once they settle (ms)
+
+// Saved patients with their ventilator settings: [{ name, ventilatorSettings, patientParameters }]
+let customPresets = [];
+let saveTimer = null;
+
+// Restore the configuration from a shared link, or else the one saved last
+// time, then keep saving it as it changes. Call before the simulation starts.
+function initializeConfigStorage() {
+  const storedConfig = readStoredConfig();
+  const linkedConfig = readHashConfig();
+  
+  // The custom presets saved here stay when a link is opened; the link's join them
+  if (linkedConfig && storedConfig) restoreCustomPresets(storedConfig.customPresets);
+  
+  const config = linkedConfig || storedConfig;
+  if (config) applyConfiguration(config);
+  
+  // A link has been applied; from now on the page has its own configuration
+  if (location.hash.startsWith(HASH_PREFIX)) {
+    clearHash();
+    saveConfiguration();
+  }
+  
+  window.SettingsStore.subscribe(scheduleSave);
+  document.addEventListener('waveform-options-changed', scheduleSave);
+  
+  // A link pasted into an open page only changes the hash. Its presets join
+  // the ones already here.
+  window.addEventListener('hashchange', function() {
+    const linked = readHashConfig();
+    if (!linked) return;
+    applyConfiguration(linked);
+    clearHash();
+    saveConfiguration();
+  });
+  
+  setupConfigControls();
+}
+
+// Set up the share and default settings buttons
+function setupConfigControls() {
+  const shareButton = document.getElementById('share-button');
+  if (shareButton) {
+    shareButton.addEventListener('click', shareConfiguration);
+  }
+  
+  // The default ventilator settings are confirmed at the controls like a preset's
+  const defaultsButton = document.getElementById('default-settings-button');
+  if (defaultsButton) {
+    defaultsButton.addEventListener('click', function() {
+      if (!window.VentilatorUI) {
+        console.error('Ventilator UI not loaded!');
+        return;
+      }
+      window.VentilatorUI.applyPreset(window.SettingsStore.getDefaults('patient'),
+        window.SettingsStore.getDefaults('ventilator'));
+    });
+  }
+}
+
+// Get the current configuration
+function getConfiguration() {
+  return {
+    version: CONFIG_VERSION,
+    ventilatorSettings: window.SettingsStore.get('ventilator'),
+    patientParameters: window.SettingsStore.get('patient'),
+    display: window.WaveformDisplay ? window.WaveformDisplay.getOptions() : null,
+    customPresets: getCustomPresets()
+  };
+}
+
+// Apply a saved or shared configuration. Values this version does not know or
+// accept are skipped, so an old configuration restores as much as it can.
+function applyConfiguration(config) {
+  window.SettingsStore.transaction(function() {
+    applyStoredValues('patient', config.patientParameters);
+    applyVentilatorValues(config.ventilatorSettings);
+  });
+  
+  if (config.display && window.WaveformDisplay) {
+    window.WaveformDisplay.setOptions(config.display);
+  }
+  
+  restoreCustomPresets(config.customPresets);
+}
+
+// Helper function to apply saved ventilator settings, unless together they break
+// an interlock the controls would not let through (e.g. an edited link). The
+// settings already in use are kept then.
+function applyVentilatorValues(values) {
+  const current = window.SettingsStore.get('ventilator');
+  applyStoredValues('ventilator', values);
+  if (!window.SettingsValidator) return;
+  
+  const validation = window.SettingsValidator.validate(window.SettingsStore.get('ventilator'),
+    window.SettingsStore.get('patient'));
+  if (!validation.valid) {
+    const errors = validation.issues.filter(issue => issue.severity === 'error');
+    console.warn('Skipping saved ventilator settings:', errors.map(issue => issue.message).join('; '));
+    window.SettingsStore.update({ ventilator: current });
+  }
+}
+
+// Helper function to apply one section's values one at a time
+function applyStoredValues(section, values) {
+  Object.keys(values || {}).forEach(key => {
+    try {
+      window.SettingsStore.update({ [section]: { [key]: values[key] } });
+    } catch (error) {
+      console.warn('Skipping saved setting:', error.message);
+    }
+  });
+}
+
+// Helper function to keep only the values the settings store knows
+function pickKnownValues(section, values) {
+  const schema = window.SettingsStore.getSchema(section);
+  const known = {};
+  Object.keys(values || {}).forEach(key => {
+    if (schema[key]) known[key] = values[key];
+  });
+  return known;
+}
+
+// Save shortly after the last of a run of changes
+function scheduleSave() {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(saveConfiguration, SAVE_DELAY);
+}
+
+function saveConfiguration() {
+  clearTimeout(saveTimer);
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(getConfiguration()));
+  } catch (error) {
+    // Storage can be full or switched off (e.g. in private browsing)
+    console.warn('Could not save configuration:', error.message);
+  }
+}
+
+// Helper function to read the configuration saved last time, if any
+function readStoredConfig() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? parseConfiguration(stored) : null;
+  } catch (error) {
+    console.warn('Could not read saved configuration:', error.message);
+    return null;
+  }
+}
+
+// Helper function to read a configuration from the page's link, if it has one
+function readHashConfig() {
+  if (!location.hash.startsWith(HASH_PREFIX)) return null;
+  
+  try {
+    return parseConfiguration(decodeURIComponent(location.hash.slice(HASH_PREFIX.length)));
+  } catch (error) {
+    console.error('Could not read shared configuration:', error.message);
+    return null;
+  }
+}
+
+// Helper function to parse a configuration, throwing an error if it is not one
+function parseConfiguration(text) {
+  const config = JSON.parse(text);
+  if (!config || typeof config !== 'object' || config.version !== CONFIG_VERSION) {
+    throw new Error('Not a ventilator simulation configuration');
+  }
+  return config;
+}
+
+// Helper function to remove the configuration from the address bar
+function clearHash() {
+  history.replaceState(null, '', location.pathname + location.search);
+}
+
+// Get a link that opens this page with the current configuration
+function getShareLink() {
+  const base = location.href.split('#')[0];
+  return base + HASH_PREFIX + encodeURIComponent(JSON.stringify(getConfiguration()));
+}
+
+// Show the share link and copy it to the clipboard where the browser allows
+function shareConfiguration() {
+  const link = getShareLink();
+  
+  const linkField = document.getElementById('share-link');
+  if (linkField) {
+    linkField.value = link;
+    linkField.select();
+  }
+  
+  if (navigator.clipboard) {
+    navigator.clipboard.writeText(link).catch(function(error) {
+      console.warn('Could not copy share link:', error.message);
+    });
+  }
+}
+
+// Get a copy of the custom presets
+function getCustomPresets() {
+  return customPresets.map(preset => ({
+    name: preset.name,
+    ventilatorSettings: {...preset.ventilatorSettings},
+    patientParameters: {...preset.patientParameters}
+  }));
+}
+
+// Save the current patient and ventilator settings under a name, replacing
+// any preset of the same name
+function saveCustomPreset(name) {
+  addCustomPreset({
+    name: name,
+    ventilatorSettings: window.SettingsStore.get('ventilator'),
+    patientParameters: window.SettingsStore.get('patient')
+  });
+  notifyPresetsChanged();
+}
+
+function removeCustomPreset(name) {
+  customPresets = customPresets.filter(preset => preset.name !== name);
+  notifyPresetsChanged();
+}
+
+// Helper function to add saved or shared presets, replacing any of the same name
+function restoreCustomPresets(presets) {
+  if (!Array.isArray(presets)) return;
+  
+  presets.forEach(preset => {
+    if (preset && typeof preset.name === 'string') addCustomPreset(preset);
+  });
+  notifyPresetsChanged();
+}
+
+// Helper function to add or replace a preset, keeping only known settings
+function addCustomPreset(preset) {
+  const entry = {
+    name: preset.name,
+    ventilatorSettings: pickKnownValues('ventilator', preset.ventilatorSettings),
+    patientParameters: pickKnownValues('patient', preset.patientParameters)
+  };
+  
+  const index = customPresets.findIndex(other => other.name === entry.name);
+  if (index >= 0) {
+    customPresets[index] = entry;
+  } else {
+    customPresets.push(entry);
+  }
+}
+
+// Tell the preset buttons to redraw, and save
+function notifyPresetsChanged() {
+  document.dispatchEvent(new CustomEvent('custom-presets-changed', { detail: getCustomPresets() }));
+  scheduleSave();
+}
+
+// Export functions
+window.ConfigStorage = {
+  initialize: initializeConfigStorage,
+  getConfiguration: getConfiguration,
+  applyConfiguration: applyConfiguration,
+  getShareLink: getShareLink,
+  getCustomPresets: getCustomPresets,
+  saveCustomPreset: saveCustomPreset,
+  removeCustomPreset: removeCustomPreset
+};
\ No newline at end of file
@@ -0,0 +1,389 @@
+// instructor-console.js - Complete replacement file
+
+// Patient parameters the instructor can change, with the same ranges as the trainee controls
+const PATIENT_CONTROLS = ['compliance', 'resistance', 'spontaneousRate', 'effort'].map(key => ({
+  key: key,
+  ...window.SettingsStore.getSchema('patient')[key]
+}));
+
+const LUNG_MODELS = window.SettingsStore.getSchema('patient').lungModel.options.map(option => option.value);
+
+// Events the instructor can set off with one button (same format as scenario events)
+const EVENT_BUTTONS = [
+  { label: 'Mucus plug', event: { type: 'occlusion', units: [6, 7, 8, 9], occluded: true } },
+  { label: 'Suction', event: { type: 'occlusion', units: [6, 7, 8, 9], occluded: false } },
+  { label: 'Pneumothorax', event: { type: 'pneumothorax', units: [0, 1, 2, 3, 4], pressure: 15 } },
+  { label: 'Chest drain', event: { type: 'pneumothorax', units: [0, 1, 2, 3, 4], pressure: 0 } },
+  { label: 'Bronchospasm', event: { type: 'patient', parameters: { resistance: 25 }, duration: 30 } },
+  { label: 'Disconnect', event: { type: 'disconnect' } },
+  { label: 'Reconnect', event: { type: 'reconnect' } }
+];
+
+// Trainee settings shown live, in display order
+const SETTING_LABELS = {
+  mode: 'Mode',
+  peep: 'PEEP',
+  pip: 'PIP',
+  tidalVolume: 'VT',
+  rate: 'Rate',
+  ieRatio: 'I:E',
+  fio2: 'FiO2',
+  pressureSupport: 'PS',
+  triggerType: 'Trigger',
+  triggerSensitivity: 'Pressure trigger',
+  flowTrigger: 'Flow trigger',
+  flowPattern: 'Flow pattern',
+  cycleOff: 'Cycle off',
+  riseTime: 'Rise time'
+};
+
+// Time without a message before the trainee counts as gone
+const CONNECTION_TIMEOUT = 3000; // ms
+
+// Last state sent by the trainee
+let traineeState = null;
+let lastMessageTime = 0;
+let alarmControlsBuilt = false;
+
+// Build the console and start listening to the trainee view
+function initializeInstructorConsole() {
+  const root = document.getElementById('instructor-console') || document.body;
+  root.innerHTML = '';
+  
+  root.appendChild(createConnectionStatus());
+  root.appendChild(createPatientPanel());
+  root.appendChild(createEventPanel());
+  root.appendChild(createSection('Alarms', 'instructor-alarms'));
+  root.appendChild(createSection('Trainee settings', 'instructor-settings'));
+  root.appendChild(createSection('Vitals', 'instructor-vitals'));
+  root.appendChild(createSection('Trainee changes', 'instructor-change-log', 'ul'));
+  root.appendChild(createSection('Events', 'instructor-event-log', 'ul'));
+  
+  window.SessionChannel.open('instructor', handleTraineeMessage);
+  window.SessionChannel.send('request-state', null);
+  
+  setInterval(updateConnectionStatus, 1000);
+}
+
+// Handle a message from the trainee view
+function handleTraineeMessage(type, payload) {
+  lastMessageTime = Date.now();
+  
+  switch (type) {
+    case 'state':
+      showTraineeState(payload);
+      break;
+    case 'settings-changed':
+      logTraineeChange(payload);
+      break;
+    case 'scenario-event':
+      appendLogEntry('instructor-event-log', (payload.time / 1000).toFixed(1) + 's ' + payload.message);
+      break;
+  }
+  
+  updateConnectionStatus();
+}
+
+// Show the trainee's settings, vitals and alarms
+function showTraineeState(state) {
+  traineeState = state;
+  
+  if (!alarmControlsBuilt && state.alarmDefinitions) {
+    buildAlarmControls(state.alarmDefinitions);
+    alarmControlsBuilt = true;
+  }
+  
+  // Keep the patient controls on the patient's actual values, with the ranges of their age group
+  const ageGroup = window.PatientDemographics.getAgeGroup(state.patientParameters);
+  PATIENT_CONTROLS.forEach(control => {
+    const input = document.getElementById('instructor-' + control.key);
+    if (input && document.activeElement !== input) {
+      const range = window.PatientDemographics.getControlRange(control, ageGroup);
+      input.min = range.min;
+      input.max = range.max;
+      input.step = range.step;
+      input.value = state.patientParameters[control.key];
+      setText('instructor-' + control.key + '-value', formatNumber(state.patientParameters[control.key]));
+    }
+  });
+  const modelSelector = document.getElementById('instructor-lungModel');
+  if (modelSelector && document.activeElement !== modelSelector) {
+    modelSelector.value = state.patientParameters.lungModel;
+  }
+  
+  const revealCheckbox = document.getElementById('instructor-reveal');
+  if (revealCheckbox) revealCheckbox.checked = state.revealPatientChanges;
+  
+  showSettings(state);
+  showVitals(state);
+  showAlarms(state.alarms);
+}
+
+// List the trainee's current ventilator settings
+function showSettings(state) {
+  const container = document.getElementById('instructor-settings');
+  if (!container) return;
+  container.innerHTML = '';
+  
+  Object.keys(SETTING_LABELS).forEach(key => {
+    container.appendChild(createReadout(SETTING_LABELS[key], formatSetting(key, state.ventilatorSettings[key])));
+  });
+}
+
+// List the patient's vitals and the last breath
+function showVitals(state) {
+  const container = document.getElementById('instructor-vitals');
+  if (!container) return;
+  container.innerHTML = '';
+  
+  const vitals = state.vitals || {};
+  const measurements = state.measurements || {};
+  container.appendChild(createReadout('Time', formatNumber(state.time / 1000, 0) + ' s'));
+  container.appendChild(createReadout('Circuit', state.circuitConnected ? 'Connected' : 'Disconnected'));
+  container.appendChild(createReadout('Patient', window.PatientDemographics.getAgeGroupLabel(state.patientParameters) +
+    ', IBW ' + formatNumber(window.PatientDemographics.getIdealBodyWeight(state.patientParameters), 1) + ' kg'));
+  container.appendChild(createReadout('SpO2', formatNumber(vitals.spo2, 0) + ' %'));
+  container.appendChild(createReadout('PaO2', formatNumber(vitals.pao2, 0) + ' mmHg'));
+  container.appendChild(createReadout('PaCO2', formatNumber(vitals.paco2, 0) + ' mmHg'));
+  container.appendChild(createReadout('EtCO2', formatNumber(vitals.etco2, 0) + ' mmHg'));
+  container.appendChild(createReadout('Ppeak', formatNumber(measurements.peakPressure, 0) + ' cmH2O'));
+  container.appendChild(createReadout('VTe', formatNumber(measurements.expiredTidalVolume, 0) + ' mL'));
+  container.appendChild(createReadout('MVe', formatNumber(measurements.minuteVentilation, 1) + ' L/min'));
+  container.appendChild(createReadout('fTotal', formatNumber(measurements.rate, 0) + ' b/min'));
+  
+  if (state.scenario && state.scenario.name) {
+    const status = state.scenario.running ? 'running, ' + state.scenario.remainingEvents + ' events left' : 'stopped';
+    container.appendChild(createReadout('Scenario', state.scenario.name + ' (' + status + ')'));
+  }
+}
+
+// Mark the alarms that are sounding on the trainee screen
+function showAlarms(activeAlarms) {
+  const activeIds = (activeAlarms || []).map(alarm => alarm.id);
+  document.querySelectorAll('.instructor-alarm').forEach(row => {
+    row.classList.toggle('alarm-active', activeIds.includes(row.dataset.alarm));
+  });
+}
+
+// Log a setting the trainee changed, e.g. "PEEP 5 → 8"
+function logTraineeChange(change) {
+  if (!traineeState) return;
+  
+  const previous = change.type === 'ventilator' ? traineeState.ventilatorSettings : traineeState.patientParameters;
+  const differences = Object.keys(change.settings)
+    .filter(key => change.settings[key] !== previous[key])
+    .map(key => `${SETTING_LABELS[key] || key} ${formatSetting(key, previous[key])} → ${formatSetting(key, change.settings[key])}`);
+  
+  if (change.type === 'ventilator') {
+    traineeState.ventilatorSettings = {...change.settings};
+  } else {
+    traineeState.patientParameters = {...change.settings};
+  }
+  
+  if (differences.length > 0) {
+    appendLogEntry('instructor-change-log', (traineeState.time / 1000).toFixed(1) + 's ' + differences.join(', '));
+    showSettings(traineeState);
+  }
+}
+
+// Patient parameter controls and the reveal switch
+function createPatientPanel() {
+  const section = createSection('Patient', 'instructor-patient');
+  const container = section.querySelector('#instructor-patient');
+  
+  PATIENT_CONTROLS.forEach(control => {
+    const row = document.createElement('div');
+    row.className = 'instructor-control';
+    
+    const label = document.createElement('label');
+    label.htmlFor = 'instructor-' + control.key;
+    label.textContent = control.label;
+    
+    const input = document.createElement('input');
+    input.type = 'range';
+    input.id = 'instructor-' + control.key;
+    input.min = control.min;
+    input.max = control.max;
+    input.step = control.step;
+    
+    const value = document.createElement('span');
+    value.id = 'instructor-' + control.key + '-value';
+    value.textContent = '--';
+    
+    const unit = document.createElement('span');
+    unit.textContent = control.unit;
+    
+    input.addEventListener('input', function() {
+      value.textContent = formatNumber(parseFloat(input.value));
+    });
+    input.addEventListener('change', function() {
+      sendPatientChange({ [control.key]: parseFloat(input.value) });
+    });
+    
+    row.appendChild(label);
+    row.appendChild(input);
+    row.appendChild(value);
+    row.appendChild(unit);
+    container.appendChild(row);
+  });
+  
+  const modelRow = document.createElement('div');
+  modelRow.className = 'instructor-control';
+  const modelLabel = document.createElement('label');
+  modelLabel.htmlFor = 'instructor-lungModel';
+  modelLabel.textContent = 'Lung model';
+  const modelSelector = document.createElement('select');
+  modelSelector.id = 'instructor-lungModel';
+  LUNG_MODELS.forEach(model => {
+    const option = document.createElement('option');
+    option.value = model;
+    option.textContent = model.toUpperCase();
+    modelSelector.appendChild(option);
+  });
+  modelSelector.addEventListener('change', function() {
+    sendPatientChange({ lungModel: modelSelector.value });
+  });
+  modelRow.appendChild(modelLabel);
+  modelRow.appendChild(modelSelector);
+  container.appendChild(modelRow);
+  
+  // Hidden changes have to be found from the waveforms and numerics
+  const revealRow = document.createElement('div');
+  revealRow.className = 'instructor-control';
+  const revealLabel = document.createElement('label');
+  const revealCheckbox = document.createElement('input');
+  revealCheckbox.type = 'checkbox';
+  revealCheckbox.id = 'instructor-reveal';
+  revealCheckbox.checked = true;
+  revealCheckbox.addEventListener('change', function() {
+    window.SessionChannel.send('reveal-changes', { reveal: revealCheckbox.checked });
+  });
+  revealLabel.appendChild(revealCheckbox);
+  revealLabel.appendChild(document.createTextNode(' Show patient changes to the trainee'));
+  revealRow.appendChild(revealLabel);
+  container.appendChild(revealRow);
+  
+  return section;
+}
+
+// One button per instructor event
+function createEventPanel() {
+  const section = createSection('Events', 'instructor-events');
+  const container = section.querySelector('#instructor-events');
+  
+  EVENT_BUTTONS.forEach(item => {
+    const button = document.createElement('button');
+    button.textContent = item.label;
+    button.addEventListener('click', function() {
+      window.SessionChannel.send('inject-event', item.event);
+    });
+    container.appendChild(button);
+  });
+  
+  return section;
+}
+
+// A switch per alarm the trainee's ventilator can raise
+function buildAlarmControls(definitions) {
+  const container = document.getElementById('instructor-alarms');
+  if (!container) return;
+  container.innerHTML = '';
+  
+  Object.keys(definitions).forEach(id => {
+    const row = document.createElement('label');
+    row.className = 'instructor-alarm alarm-' + definitions[id].priority;
+    row.dataset.alarm = id;
+    
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.addEventListener('change', function() {
+      window.SessionChannel.send('inject-alarm', { id: id, active: checkbox.checked });
+    });
+    
+    row.appendChild(checkbox);
+    row.appendChild(document.createTextNode(' ' + definitions[id].label));
+    container.appendChild(row);
+  });
+}
+
+// Send patient parameter changes to the trainee view
+function sendPatientChange(changes) {
+  window.SessionChannel.send('set-patient', changes);
+}
+
+// Show whether the trainee view is answering
+function createConnectionStatus() {
+  const status = document.createElement('div');
+  status.id = 'instructor-connection';
+  status.textContent = 'Waiting for trainee...';
+  return status;
+}
+
+function updateConnectionStatus() {
+  const connected = Date.now() - lastMessageTime < CONNECTION_TIMEOUT;
+  const status = document.getElementById('instructor-connection');
+  if (status) {
+    status.textContent = connected ? 'Trainee connected' : 'Waiting for trainee...';
+    status.className = connected ? 'connected' : 'disconnected';
+  }
+}
+
+// Helper function to create a titled section with an empty body
+function createSection(title, bodyId, bodyTag) {
+  const section = document.createElement('section');
+  section.className = 'instructor-section';
+  
+  const heading = document.createElement('h3');
+  heading.textContent = title;
+  
+  const body = document.createElement(bodyTag || 'div');
+  body.id = bodyId;
+  
+  section.appendChild(heading);
+  section.appendChild(body);
+  return section;
+}
+
+// Helper function to create a label/value readout
+function createReadout(label, value) {
+  const row = document.createElement('div');
+  row.className = 'instructor-readout';
+  row.textContent = label + ': ' + value;
+  return row;
+}
+
+// Helper function to add an entry to the top of a log list
+function appendLogEntry(id, text) {
+  const log = document.getElementById(id);
+  if (!log) return;
+  const item = document.createElement('li');
+  item.textContent = text;
+  log.insertBefore(item, log.firstChild);
+}
+
+function setText(id, text) {
+  const element = document.getElementById(id);
+  if (element) element.textContent = text;
+}
+
+// Format a setting value for display
+function formatSetting(key, value) {
+  if (key === 'ieRatio' && typeof value === 'number') {
+    return value <= 1 ? '1:' + (1 / value).toFixed(1) : value.toFixed(1) + ':1';
+  }
+  return typeof value === 'number' ? formatNumber(value) : String(value);
+}
+
+// Round to the given decimals, dropping trailing zeros
+function formatNumber(value, decimals) {
+  if (typeof value !== 'number') return '--';
+  const factor = Math.pow(10, decimals === undefined ? 2 : decimals);
+  return String(Math.round(value * factor) / factor);
+}
+
+document.addEventListener('DOMContentLoaded', initializeInstructorConsole);
+
+// Export functions
+window.InstructorConsole = {
+  initialize: initializeInstructorConsole
+};
\ No newline at end of file
@@ -0,0 +1,258 @@
+// loop-display.js - Complete replacement file
+
+// Canvas and context references
+let pvLoopCanvas, pvLoopCtx;
+let fvLoopCanvas, fvLoopCtx;
+
+// Samples of the breath in progress, the last complete breath and the reference snapshot
+let currentLoop = [];
+let previousLoop = [];
+let referenceLoop = null;
+let lastBreathPhase = null;
+let breathStartVolume = 0;  // Loops are drawn from the volume at the start of each breath
+let loopRenderRequested = false;
+
+const LOOP_PADDING = 40;
+const LOOP_SCALE_HEADROOM = 1.1;
+const MIN_LOOP_SCALE = 5;   // Smallest full scale, so an empty loop still has axes
+const MAX_LOOP_SAMPLES = 2000; // A breath longer than this many samples stops adding points
+
+// Initialize the loop displays
+function initializeLoopDisplays() {
+  pvLoopCanvas = document.getElementById('pv-loop-canvas');
+  fvLoopCanvas = document.getElementById('fv-loop-canvas');
+  
+  if (pvLoopCanvas) pvLoopCtx = pvLoopCanvas.getContext('2d');
+  if (fvLoopCanvas) fvLoopCtx = fvLoopCanvas.getContext('2d');
+  
+  setupLoopCanvases();
+  setupLoopControls();
+  requestLoopRender();
+  
+  window.addEventListener('resize', function() {
+    setupLoopCanvases();
+    requestLoopRender();
+  });
+}
+
+// Set canvas dimensions to match their containers
+function setupLoopCanvases() {
+  [pvLoopCanvas, fvLoopCanvas].forEach(canvas => {
+    if (!canvas) return;
+    
+    const computedStyle = getComputedStyle(canvas.parentElement);
+    canvas.width = parseInt(computedStyle.width, 10);
+    canvas.height = parseInt(computedStyle.height, 10);
+  });
+}
+
+// Wire up the reference loop buttons
+function setupLoopControls() {
+  const referenceButton = document.getElementById('loop-reference-button');
+  if (referenceButton) {
+    referenceButton.addEventListener('click', function() {
+      captureReferenceLoop();
+    });
+  }
+  
+  const clearButton = document.getElementById('loop-clear-reference-button');
+  if (clearButton) {
+    clearButton.addEventListener('click', function() {
+      clearReferenceLoop();
+    });
+  }
+}
+
+// Add a simulation sample; a new breath starts when inspiration begins
+function addLoopSample(results) {
+  if (results.breathPhase === 'inspiration' && lastBreathPhase !== 'inspiration' && currentLoop.length > 0) {
+    previousLoop = currentLoop;
+    currentLoop = [];
+  }
+  if (currentLoop.length === 0) breathStartVolume = results.volume;
+  lastBreathPhase = results.breathPhase;
+  
+  if (currentLoop.length < MAX_LOOP_SAMPLES) {
+    // Trapped gas would otherwise shift an obstructed patient's loops off the chart
+    currentLoop.push({ pressure: results.pressure, volume: results.volume - breathStartVolume, flow: results.flow });
+  }
+  
+  requestLoopRender();
+}
+
+// Keep the last complete breath to compare with after a setting change
+function captureReferenceLoop() {
+  referenceLoop = previousLoop.length > 0 ? previousLoop.slice() : null;
+  requestLoopRender();
+}
+
+function clearReferenceLoop() {
+  referenceLoop = null;
+  requestLoopRender();
+}
+
+// Forget the breaths seen so far, e.g. when a replay starts or ends
+function clearLoops() {
+  currentLoop = [];
+  previousLoop = [];
+  lastBreathPhase = null;
+  requestLoopRender();
+}
+
+// Render once at the next animation frame
+function requestLoopRender() {
+  if (loopRenderRequested) return;
+  loopRenderRequested = true;
+  
+  requestAnimationFrame(function() {
+    loopRenderRequested = false;
+    renderAllLoops();
+  });
+}
+
+// Main function to refresh both loops
+function renderAllLoops() {
+  renderPressureVolumeLoop();
+  renderFlowVolumeLoop();
+}
+
+// Render the pressure-volume loop: pressure across, volume up
+function renderPressureVolumeLoop() {
+  if (!pvLoopCanvas || !pvLoopCtx) return;
+  
+  const pressureRange = getLoopRange('pressure', false);
+  const volumeRange = getLoopRange('volume', false);
+  
+  pvLoopCtx.clearRect(0, 0, pvLoopCanvas.width, pvLoopCanvas.height);
+  drawLoopAxes(pvLoopCtx, pvLoopCanvas, 'Pressure (cmH2O)', pressureRange.min, pressureRange.max, 'Volume (mL)', volumeRange.min, volumeRange.max);
+  
+  const toPoint = sample => ({ x: sample.pressure, y: sample.volume });
+  const ranges = { xMin: pressureRange.min, xMax: pressureRange.max, yMin: volumeRange.min, yMax: volumeRange.max };
+  
+  if (referenceLoop) drawLoop(pvLoopCtx, pvLoopCanvas, referenceLoop.map(toPoint), ranges, '#7b1fa2', [6, 4]);
+  drawLoop(pvLoopCtx, pvLoopCanvas, previousLoop.map(toPoint), ranges, '#ccc', []);
+  drawLoop(pvLoopCtx, pvLoopCanvas, currentLoop.map(toPoint), ranges, 'red', []);
+}
+
+// Render the flow-volume loop: volume across, inspiratory flow up
+function renderFlowVolumeLoop() {
+  if (!fvLoopCanvas || !fvLoopCtx) return;
+  
+  const volumeRange = getLoopRange('volume', false);
+  const flowRange = getLoopRange('flow', true);
+  
+  fvLoopCtx.clearRect(0, 0, fvLoopCanvas.width, fvLoopCanvas.height);
+  drawLoopAxes(fvLoopCtx, fvLoopCanvas, 'Volume (mL)', volumeRange.min, volumeRange.max, 'Flow (L/min)', flowRange.min, flowRange.max);
+  
+  const toPoint = sample => ({ x: sample.volume, y: sample.flow });
+  const ranges = { xMin: volumeRange.min, xMax: volumeRange.max, yMin: flowRange.min, yMax: flowRange.max };
+  
+  if (referenceLoop) drawLoop(fvLoopCtx, fvLoopCanvas, referenceLoop.map(toPoint), ranges, '#7b1fa2', [6, 4]);
+  drawLoop(fvLoopCtx, fvLoopCanvas, previousLoop.map(toPoint), ranges, '#ccc', []);
+  drawLoop(fvLoopCtx, fvLoopCanvas, currentLoop.map(toPoint), ranges, 'green', []);
+}
+
+// Range that fits one signal in every loop on show; bipolar signals are centred
+// on zero and others start at zero unless they dip below it
+function getLoopRange(key, bipolar) {
+  const loops = [currentLoop, previousLoop, referenceLoop || []];
+  let largest = 0;
+  let smallest = 0;
+  loops.forEach(loop => {
+    loop.forEach(sample => {
+      largest = Math.max(largest, sample[key]);
+      smallest = Math.min(smallest, sample[key]);
+    });
+  });
+  
+  if (bipolar) {
+    const max = roundUpLoopScale(Math.max(largest, -smallest) * LOOP_SCALE_HEADROOM);
+    return { min: -max, max: max };
+  }
+  return {
+    min: smallest < 0 ? -roundUpLoopScale(-smallest * LOOP_SCALE_HEADROOM) : 0,
+    max: roundUpLoopScale(largest * LOOP_SCALE_HEADROOM)
+  };
+}
+
+// Round a full-scale value up to 1, 2 or 5 times a power of ten
+function roundUpLoopScale(value) {
+  const target = Math.max(value, MIN_LOOP_SCALE);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+  return [1, 2, 5, 10].find(multiple => multiple * magnitude >= target) * magnitude;
+}
+
+// Helper function to draw both axes with their labels and end values
+function drawLoopAxes(ctx, canvas, xLabel, xMin, xMax, yLabel, yMin, yMax) {
+  const width = canvas.width;
+  const height = canvas.height;
+  
+  ctx.strokeStyle = '#888';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([]);
+  ctx.font = '12px Arial';
+  ctx.fillStyle = '#333';
+  
+  // Axes cross at zero so negative pressure, volume and flow have room
+  const zeroX = LOOP_PADDING + (width - 2 * LOOP_PADDING) * (-xMin / (xMax - xMin));
+  const zeroY = LOOP_PADDING + (height - 2 * LOOP_PADDING) * (yMax / (yMax - yMin));
+  
+  ctx.beginPath();
+  ctx.moveTo(zeroX, LOOP_PADDING);
+  ctx.lineTo(zeroX, height - LOOP_PADDING);
+  ctx.moveTo(LOOP_PADDING, zeroY);
+  ctx.lineTo(width - LOOP_PADDING, zeroY);
+  ctx.stroke();
+  
+  ctx.textAlign = 'right';
+  ctx.fillText(yMax.toFixed(0), LOOP_PADDING - 6, LOOP_PADDING + 4);
+  ctx.fillText(yMin.toFixed(0), LOOP_PADDING - 6, height - LOOP_PADDING + 4);
+  
+  ctx.textAlign = 'center';
+  ctx.fillText(xMin.toFixed(0), LOOP_PADDING, height - LOOP_PADDING + 18);
+  ctx.fillText(xMax.toFixed(0), width - LOOP_PADDING, height - LOOP_PADDING + 18);
+  ctx.fillText(xLabel, width / 2, height - 8);
+  
+  ctx.save();
+  ctx.translate(15, height / 2);
+  ctx.rotate(-Math.PI / 2);
+  ctx.fillText(yLabel, 0, 0);
+  ctx.restore();
+}
+
+// Helper function to draw one loop from { x, y } points
+function drawLoop(ctx, canvas, points, ranges, color, dash) {
+  if (points.length < 2) return;
+  
+  const drawWidth = canvas.width - 2 * LOOP_PADDING;
+  const drawHeight = canvas.height - 2 * LOOP_PADDING;
+  
+  ctx.strokeStyle = color;
+  ctx.lineWidth = 2;
+  ctx.setLineDash(dash);
+  ctx.beginPath();
+  
+  points.forEach((point, i) => {
+    const x = LOOP_PADDING + drawWidth * (point.x - ranges.xMin) / (ranges.xMax - ranges.xMin);
+    const y = LOOP_PADDING + drawHeight * (1 - (point.y - ranges.yMin) / (ranges.yMax - ranges.yMin));
+    
+    if (i === 0) {
+      ctx.moveTo(x, y);
+    } else {
+      ctx.lineTo(x, y);
+    }
+  });
+  
+  ctx.stroke();
+  ctx.setLineDash([]);
+}
+
+// Export functions
+window.LoopDisplay = {
+  initialize: initializeLoopDisplays,
+  addSample: addLoopSample,
+  captureReference: captureReferenceLoop,
+  clearReference: clearReferenceLoop,
+  clear: clearLoops,
+  refresh: requestLoopRender
+};
\ No newline at end of file
@@ -2,57 +2,128 @@
 
 // Application state
 let simulationRunning = false;
-let ventilatorSettings = {
-  mode: 'PCV',          // Pressure Control Ventilation
-  peep: 5,              // Positive End-Expiratory Pressure (cmH2O)
-  pip: 20,              // Peak Inspiratory Pressure (cmH2O)
-  rate: 15,             // Respiratory Rate (breaths/min)
-  ieRatio: 0.5,         // I:E Ratio (1:2)
-  tidalVolume: 500,     // Tidal Volume (mL)
-  fio2: 40,             // Fraction of Inspired Oxygen (%)
-  triggerSensitivity: 2 // Trigger Sensitivity (cmH2O)
-};
-
-let patientParameters = {
-  compliance: 50,       // Lung Compliance (mL/cmH2O)
-  resistance: 10,       // Airway Resistance (cmH2O·s/L)
-  lungModel: 'normal'   // Patient condition: normal, ards, copd, asthma
-};
+let resumeAfterReplay = false;   // Whether the simulation was running when replay started
+let circuitConnected = true;
+let revealPatientChanges = true; // Whether the trainee sees patient changes made by the instructor or a scenario
+let latestResults = null;        // Last simulation step, for the instructor console
+let lastStateBroadcast = -Infinity; // Simulation time the instructor last got the session state
+
+// How often the instructor console gets the session state (simulated ms)
+const STATE_BROADCAST_INTERVAL = 500;
 
 // Initialize the application
 function initializeApp() {
   console.log('Ventilator Simulation App Initializing...');
   
-  // Initialize the simulation engine
-  if (window.SimulationCore) {
-    window.SimulationCore.initialize(ventilatorSettings, patientParameters);
+  // Settings and patient parameters live in the settings store; every change,
+  // whoever makes it, reaches the simulation and the recording from there
+  if (!window.SettingsStore) {
+    console.error('Settings Store not loaded!');
+    return;
+  }
+  
+  // Restore the last configuration or the one in a shared link, so the
+  // simulation starts from it
+  if (window.ConfigStorage) {
+    window.ConfigStorage.initialize();
   } else {
-    console.error('Simulation Core not loaded!');
+    console.error('Config Storage not loaded!');
+  }
+  window.SettingsStore.subscribe(handleSettingsChange);
+  
+  // Initialize the simulation engine; it runs in a worker and sends samples in batches
+  if (window.SimulationClient) {
+    window.SimulationClient.initialize(getSettings('ventilator'), getSettings('patient'), processSimulationSamples);
+  } else {
+    console.error('Simulation Client not loaded!');
   }
   
   // Initialize the UI controls
   if (window.VentilatorUI) {
-    window.VentilatorUI.initialize(ventilatorSettings, patientParameters, updateSettings);
+    window.VentilatorUI.initialize(handleControlChange);
   } else {
     console.error('Ventilator UI not loaded!');
   }
   
+  // Initialize the monitored numerics panel
+  if (window.NumericsDisplay) {
+    window.NumericsDisplay.initialize();
+  } else {
+    console.error('Numerics Display not loaded!');
+  }
+  
+  // Initialize the alarm system, with limits for the patient's size
+  if (window.AlarmSystem) {
+    window.AlarmSystem.initialize(getPatientAlarmLimits(getSettings('patient')));
+  } else {
+    console.error('Alarm System not loaded!');
+  }
+  
+  // Initialize the scenario engine; its changes go through the same path as the controls
+  if (window.ScenarioEngine) {
+    window.ScenarioEngine.initialize({
+      simulation: window.SimulationClient,
+      applySettings: updateSettings,
+      setCircuitConnected: setCircuitConnection,
+      onEvent: showScenarioEvent
+    });
+  } else {
+    console.error('Scenario Engine not loaded!');
+  }
+  
+  // Record the session from the start, and get replay ready for debriefing
+  if (window.SessionRecorder) {
+    window.SessionRecorder.start(getSettings('ventilator'), getSettings('patient'));
+  } else {
+    console.error('Session Recorder not loaded!');
+  }
+  if (window.SessionReplay) {
+    window.SessionReplay.initialize({
+      onStart: function() {
+        if (simulationRunning) {
+          resumeAfterReplay = true;
+          toggleSimulation();
+        }
+        clearBreathDisplays();
+      },
+      // Back to the live patient: forget the replayed breaths and carry on as before
+      onExit: function() {
+        clearBreathDisplays();
+        if (resumeAfterReplay) {
+          resumeAfterReplay = false;
+          toggleSimulation();
+        }
+      }
+    });
+  }
+  
   // Initialize waveform display
   if (window.WaveformDisplay) {
     window.WaveformDisplay.initialize();
-    
-    // Force a refresh after everything is loaded
-    setTimeout(function() {
-      window.WaveformDisplay.refresh();
-      notifySimulationUpdated();
-    }, 500);
   } else {
     console.error('Waveform Display not loaded!');
   }
   
+  // Initialize the pressure-volume and flow-volume loops
+  if (window.LoopDisplay) {
+    window.LoopDisplay.initialize();
+  } else {
+    console.error('Loop Display not loaded!');
+  }
+  
+  // Initialize the regional view of the lung units
+  if (window.RegionalDisplay) {
+    window.RegionalDisplay.initialize();
+  } else {
+    console.error('Regional Display not loaded!');
+  }
+  
   // Set up event listeners
   setupEventListeners();
   
+  // Let an instructor console drive this session
+  setupInstructorSession();
+  
   // Start the simulation loop
   startSimulation();
   
@@ -69,6 +140,44 @@ function setupEventListeners() {
     });
   }
   
+  // Circuit disconnect button
+  const disconnectButton = document.getElementById('disconnect-button');
+  if (disconnectButton) {
+    disconnectButton.addEventListener('click', function() {
+      toggleCircuitConnection();
+    });
+  }
+  
+  // Hold maneuver buttons
+  const inspiratoryHoldButton = document.getElementById('inspiratory-hold-button');
+  if (inspiratoryHoldButton) {
+    inspiratoryHoldButton.addEventListener('click', function() {
+      if (window.SimulationClient) {
+        window.SimulationClient.startInspiratoryHold();
+      }
+    });
+  }
+  
+  const expiratoryHoldButton = document.getElementById('expiratory-hold-button');
+  if (expiratoryHoldButton) {
+    expiratoryHoldButton.addEventListener('click', function() {
+      if (window.SimulationClient) {
+        window.SimulationClient.startExpiratoryHold();
+      }
+    });
+  }
+  
+  // Scenario controls
+  setupScenarioControls();
+  
+  // Recording, export and replay controls
+  setupSessionControls();
+  
+  // Keep alarm activity in the recording
+  document.addEventListener('alarm-logged', function(e) {
+    recordAlarmEvent(e.detail);
+  });
+  
   // Time scale control
   const timeScaleControl = document.getElementById('time-scale-control');
   if (timeScaleControl) {
@@ -77,12 +186,6 @@ function setupEventListeners() {
       if (window.WaveformDisplay) {
         window.WaveformDisplay.updateTimeScale(newScale);
       }
-      // Force an additional refresh to ensure display updates
-      setTimeout(function() {
-        if (window.WaveformDisplay) {
-          window.WaveformDisplay.refresh();
-        }
-      }, 100);
     });
   }
   
@@ -94,47 +197,180 @@ function setupEventListeners() {
   });
 }
 
-// Update settings when controls change
+// Apply a change the trainee made on the controls and tell the instructor
+function handleControlChange(newSettings, type) {
+  updateSettings(newSettings, type);
+  
+  if (window.SessionChannel) {
+    window.SessionChannel.send('settings-changed', {
+      type: type,
+      settings: getSettings(type)
+    });
+  }
+}
+
+// Apply changed ventilator settings ('ventilator') or patient parameters ('patient')
+// in one update, so e.g. a preset rebuilds the lungs only once. Controls, scenarios
+// and the instructor all change settings here; the controls follow the store.
 function updateSettings(newSettings, type) {
-  if (type === 'ventilator') {
-    ventilatorSettings = {...ventilatorSettings, ...newSettings};
-    if (window.SimulationCore) {
-      window.SimulationCore.updateVentilatorSettings(ventilatorSettings);
-    }
-  } else if (type === 'patient') {
-    patientParameters = {...patientParameters, ...newSettings};
-    if (window.SimulationCore) {
-      window.SimulationCore.updatePatientParameters(patientParameters);
-    }
+  try {
+    if (type === 'patient') newSettings = fitBodySizeToAge(newSettings);
+    window.SettingsStore.update({ [type]: newSettings });
+  } catch (error) {
+    console.error('Could not apply settings:', error.message);
   }
+}
+
+// Helper function to bring height and weight into the ranges of a new age
+// group along with the age, so the ideal body weight stays sensible
+function fitBodySizeToAge(patientChanges) {
+  if (patientChanges.age === undefined || !window.PatientDemographics) return patientChanges;
   
-  // Notify that simulation parameters have been updated
-  notifySimulationUpdated();
+  const current = getSettings('patient');
+  const patient = {...current, ...patientChanges};
+  if (window.PatientDemographics.getAgeGroup(patient) === window.PatientDemographics.getAgeGroup(current)) {
+    return patientChanges;
+  }
+  return {...patientChanges, ...window.PatientDemographics.fitBodySize(patient)};
 }
 
-// Start the simulation loop
+// Pass what actually changed on to the simulation and the recording
+function handleSettingsChange(diff) {
+  const ventilatorChanges = window.SettingsStore.getChangedValues(diff, 'ventilator');
+  const patientChanges = window.SettingsStore.getChangedValues(diff, 'patient');
+  
+  if (diff.ventilator) {
+    if (window.SessionRecorder) window.SessionRecorder.recordSettings('ventilator', ventilatorChanges);
+    if (window.SimulationClient) window.SimulationClient.updateVentilatorSettings(ventilatorChanges);
+  }
+  if (diff.patient) {
+    if (window.SessionRecorder) window.SessionRecorder.recordSettings('patient', patientChanges);
+    if (window.SimulationClient) window.SimulationClient.updatePatientParameters(patientChanges);
+  }
+  
+  // A patient of another age group gets the default alarm limits for their size
+  if (diff.patient && diff.patient.age && window.AlarmSystem && window.PatientDemographics &&
+      window.PatientDemographics.getAgeGroup({ age: diff.patient.age.from }) !==
+      window.PatientDemographics.getAgeGroup({ age: diff.patient.age.to })) {
+    window.AlarmSystem.setLimits(getPatientAlarmLimits(getSettings('patient')));
+  }
+  
+  notifySimulationUpdated(diff);
+}
+
+// Helper function to get the default alarm limits for a patient, if their demographics are known
+function getPatientAlarmLimits(patient) {
+  return window.PatientDemographics ? window.PatientDemographics.getDefaultAlarmLimits(patient) : null;
+}
+
+// Get a copy of the current ventilator settings ('ventilator') or patient parameters ('patient')
+function getSettings(type) {
+  return window.SettingsStore.get(type);
+}
+
+// Start the simulation; samples arrive at processSimulationSamples
 function startSimulation() {
   simulationRunning = true;
   
-  // Update simulation at 60Hz
-  const simulationInterval = setInterval(function() {
-    if (!simulationRunning) {
-      clearInterval(simulationInterval);
-      return;
+  if (window.SimulationClient) {
+    window.SimulationClient.start();
+  }
+}
+
+// Handle a batch of samples from the simulation. Every sample is recorded,
+// drawn and monitored; the text displays only need the latest one.
+function processSimulationSamples(samples) {
+  if (!simulationRunning || samples.length === 0) return;
+  
+  samples.forEach(processSimulationResults);
+  
+  updateGasExchangeDisplay(samples[samples.length - 1]);
+  if (window.ScenarioEngine) {
+    updateScenarioStatus();
+  }
+}
+
+// Handle one simulation sample
+function processSimulationResults(results) {
+  if (window.SessionRecorder) {
+    window.SessionRecorder.recordSample(results);
+  }
+  
+  // Update waveform displays with new data; they draw on the next animation frame
+  if (window.WaveformDisplay) {
+    window.WaveformDisplay.addSample(results);
+  }
+  
+  if (window.LoopDisplay) {
+    window.LoopDisplay.addSample(results);
+  }
+  
+  if (window.RegionalDisplay) {
+    window.RegionalDisplay.addSample(results);
+  }
+  
+  // Measure each breath and update the monitored values
+  const measurements = processBreathMeasurements(results);
+  
+  // Advance the running scenario
+  if (window.ScenarioEngine) {
+    window.ScenarioEngine.update(results, measurements);
+  }
+  
+  // Keep the instructor console up to date
+  latestResults = results;
+  if (results.time - lastStateBroadcast >= STATE_BROADCAST_INTERVAL) {
+    broadcastSessionState();
+  }
+  
+  // Show plateau and total PEEP once a hold maneuver finishes
+  if (results.holdMeasurements) {
+    if (window.NumericsDisplay) {
+      window.NumericsDisplay.updateHold(results.holdMeasurements);
+    }
+    recordHoldResult(results.holdMeasurements);
+  }
+  
+  if (window.AlarmSystem) {
+    window.AlarmSystem.checkSample(results);
+  }
+}
+
+// Pass a simulation sample to the breath monitor and show completed breaths.
+// Returns the measurements when the sample completed a breath, otherwise null.
+function processBreathMeasurements(results) {
+  if (!window.BreathMonitor) return null;
+  
+  const measurements = window.BreathMonitor.processSample(results);
+  if (measurements) {
+    if (window.NumericsDisplay) {
+      window.NumericsDisplay.update(measurements);
     }
     
-    // Run one step of simulation
-    if (window.SimulationCore) {
-      const results = window.SimulationCore.step();
-      
-      // Update waveform displays with new data
-      if (window.WaveformDisplay && results) {
-        window.WaveformDisplay.updateData('pressure', results.pressure);
-        window.WaveformDisplay.updateData('volume', results.volume);
-        window.WaveformDisplay.updateData('flow', results.flow);
-      }
+    if (window.AlarmSystem) {
+      window.AlarmSystem.checkBreath(measurements);
     }
-  }, 16); // ~60 frames per second
+    
+    // Let other observers react to the new breath
+    document.dispatchEvent(new CustomEvent('breath-completed', { detail: measurements }));
+  }
+  
+  return measurements;
+}
+
+// Display the blood gas values from the gas exchange model
+function updateGasExchangeDisplay(results) {
+  const gasValues = {
+    'spo2-value': results.spo2.toFixed(0),
+    'pao2-value': results.pao2.toFixed(0),
+    'paco2-value': results.paco2.toFixed(0),
+    'etco2-value': results.etco2.toFixed(0)
+  };
+  
+  Object.keys(gasValues).forEach(id => {
+    const display = document.getElementById(id);
+    if (display) display.textContent = gasValues[id];
+  });
 }
 
 // Toggle simulation on/off
@@ -145,29 +381,307 @@ function toggleSimulation() {
     startSimulation();
     document.getElementById('start-stop-button').textContent = 'Stop';
   } else {
+    if (window.SimulationClient) window.SimulationClient.stop();
     document.getElementById('start-stop-button').textContent = 'Start';
   }
 }
 
-// Notify that simulation has been updated (for observers)
-function notifySimulationUpdated() {
-  // Create and dispatch a custom event
-  const event = new CustomEvent('simulation-updated');
-  document.dispatchEvent(event);
+// Helper function to clear the loop and regional displays, which build up breath by breath
+function clearBreathDisplays() {
+  if (window.LoopDisplay) window.LoopDisplay.clear();
+  if (window.RegionalDisplay) window.RegionalDisplay.clear();
 }
 
-// Ensure the simulator refreshes waveforms periodically
-function ensureWaveformRefresh() {
-  // Set up a periodic refresh as a backup
-  setInterval(function() {
-    if (window.WaveformDisplay) {
-      window.WaveformDisplay.refresh();
-    }
-  }, 1000); // Refresh once per second as a fallback
+// Disconnect or reconnect the patient from the ventilator circuit
+function toggleCircuitConnection() {
+  setCircuitConnection(!circuitConnected);
+  
+  if (window.SessionRecorder) {
+    window.SessionRecorder.recordEvent('control', {
+      message: circuitConnected ? 'Circuit reconnected' : 'Circuit disconnected'
+    });
+  }
+}
+
+// Set the circuit connection and keep the button in step
+function setCircuitConnection(connected) {
+  if (!window.SimulationClient) return;
+  
+  const wasConnected = circuitConnected;
+  circuitConnected = window.SimulationClient.setCircuitConnected(connected);
+  
+  const disconnectButton = document.getElementById('disconnect-button');
+  if (disconnectButton) {
+    disconnectButton.textContent = circuitConnected ? 'Disconnect' : 'Reconnect';
+  }
+  
+  notifySimulationUpdated({ circuit: { connected: { from: wasConnected, to: circuitConnected } } });
+}
+
+// Set up loading and running scenario files
+function setupScenarioControls() {
+  const scenarioFile = document.getElementById('scenario-file');
+  if (scenarioFile) {
+    scenarioFile.addEventListener('change', function(e) {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = function() {
+        try {
+          window.ScenarioEngine.load(JSON.parse(reader.result));
+          clearScenarioLog();
+          updateScenarioStatus();
+        } catch (error) {
+          console.error('Could not load scenario:', error.message);
+          const statusDisplay = document.getElementById('scenario-status');
+          if (statusDisplay) statusDisplay.textContent = 'Could not load scenario: ' + error.message;
+        }
+      };
+      reader.readAsText(file);
+    });
+  }
+  
+  const scenarioButton = document.getElementById('scenario-start-button');
+  if (scenarioButton) {
+    scenarioButton.addEventListener('click', function() {
+      if (window.ScenarioEngine.getStatus().running) {
+        window.ScenarioEngine.stop();
+      } else {
+        clearScenarioLog();
+        window.ScenarioEngine.start();
+      }
+      updateScenarioStatus();
+    });
+  }
+}
+
+// Add a fired scenario event to the log
+function showScenarioEvent(entry) {
+  if (window.SessionRecorder) {
+    window.SessionRecorder.recordEvent('scenario', { type: entry.type, message: entry.message });
+  }
+  if (window.SessionChannel) {
+    window.SessionChannel.send('scenario-event', entry);
+  }
+  if (!revealPatientChanges) return;
+  
+  const log = document.getElementById('scenario-log');
+  if (!log) return;
+  
+  const item = document.createElement('li');
+  item.textContent = (entry.time / 1000).toFixed(0) + 's ' + entry.message;
+  log.appendChild(item);
+}
+
+// Empty the scenario log
+function clearScenarioLog() {
+  const log = document.getElementById('scenario-log');
+  if (log) log.innerHTML = '';
+}
+
+// Show the scenario name, progress and start/stop state
+function updateScenarioStatus() {
+  const status = window.ScenarioEngine.getStatus();
+  
+  const statusDisplay = document.getElementById('scenario-status');
+  if (statusDisplay) {
+    statusDisplay.textContent = status.name ?
+      status.name + (status.running ? ' - ' + (status.elapsed / 1000).toFixed(0) + 's' : '') :
+      'No scenario loaded';
+  }
+  
+  const scenarioButton = document.getElementById('scenario-start-button');
+  if (scenarioButton) {
+    scenarioButton.textContent = status.running ? 'Stop Scenario' : 'Start Scenario';
+    scenarioButton.disabled = !status.name;
+  }
+}
+
+// Set up recording, exporting and replaying sessions
+function setupSessionControls() {
+  const recordButton = document.getElementById('record-button');
+  if (recordButton) {
+    recordButton.addEventListener('click', function() {
+      if (window.SessionRecorder.isRecording()) {
+        window.SessionRecorder.stop();
+      } else {
+        // Starting again begins a new recording from the current settings
+        window.SessionRecorder.start(getSettings('ventilator'), getSettings('patient'));
+      }
+      recordButton.textContent = window.SessionRecorder.isRecording() ? 'Stop Recording' : 'Record';
+    });
+  }
+  
+  const exportButton = document.getElementById('session-export-button');
+  if (exportButton) {
+    exportButton.addEventListener('click', function() {
+      const session = window.SessionRecorder.getSession();
+      if (!session) return;
+      
+      const name = 'ventsim-session-' + session.recordedAt.replace(/[:.]/g, '-');
+      downloadFile(name + '.json', window.SessionRecorder.exportSession(session), 'application/json');
+      downloadFile(name + '-waveforms.csv', window.SessionRecorder.exportWaveformCSV(session), 'text/csv');
+    });
+  }
+  
+  const importFile = document.getElementById('session-import-file');
+  if (importFile) {
+    importFile.addEventListener('change', function(e) {
+      const file = e.target.files[0];
+      if (!file) return;
+      
+      const reader = new FileReader();
+      reader.onload = function() {
+        try {
+          window.SessionReplay.load(window.SessionRecorder.importSession(reader.result));
+        } catch (error) {
+          console.error('Could not load session:', error.message);
+          const statusDisplay = document.getElementById('replay-time');
+          if (statusDisplay) statusDisplay.textContent = 'Could not load session: ' + error.message;
+        }
+      };
+      reader.readAsText(file);
+    });
+  }
+  
+  // Replay the session just recorded
+  const replayButton = document.getElementById('replay-button');
+  if (replayButton) {
+    replayButton.addEventListener('click', function() {
+      const session = window.SessionRecorder.getSession();
+      if (!session || session.samples.length === 0) return;
+      
+      window.SessionRecorder.stop();
+      window.SessionReplay.load(session);
+    });
+  }
+}
+
+// Save text as a file through the browser's download
+function downloadFile(name, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type: type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Add an alarm log entry to the recording
+function recordAlarmEvent(entry) {
+  if (!window.SessionRecorder) return;
+  
+  const definitions = window.AlarmSystem.getDefinitions();
+  const label = entry.id ? definitions[entry.id].label + ' ' : 'Alarms ';
+  window.SessionRecorder.recordEvent('alarm', { id: entry.id, event: entry.event, message: label + entry.event });
+}
+
+// Add the result of a hold maneuver to the recording
+function recordHoldResult(holdMeasurements) {
+  if (!window.SessionRecorder) return;
+  
+  const message = holdMeasurements.type === 'inspiratory' ?
+    `Inspiratory hold: Pplat ${holdMeasurements.plateauPressure.toFixed(0)}, driving pressure ${holdMeasurements.drivingPressure.toFixed(0)}` :
+    `Expiratory hold: PEEPtot ${holdMeasurements.totalPeep.toFixed(1)}, PEEPi ${holdMeasurements.intrinsicPeep.toFixed(1)}`;
+  window.SessionRecorder.recordEvent('hold', { message: message, measurements: holdMeasurements });
+}
+
+// Open the session channel and the button that opens the instructor console
+function setupInstructorSession() {
+  if (!window.SessionChannel) return;
+  
+  window.SessionChannel.open('trainee', handleInstructorMessage);
+  
+  const instructorButton = document.getElementById('instructor-button');
+  if (instructorButton) {
+    instructorButton.addEventListener('click', function() {
+      const instructorWindow = window.open('instructor.html', 'ventsim-instructor');
+      window.SessionChannel.setPeerWindow(instructorWindow);
+    });
+  }
+}
+
+// Carry out a request from the instructor console
+function handleInstructorMessage(type, payload) {
+  switch (type) {
+    case 'set-patient':
+      updateSettings(payload, 'patient');
+      break;
+    case 'inject-event':
+      try {
+        window.ScenarioEngine.inject(payload);
+      } catch (error) {
+        console.error('Could not inject event:', error.message);
+      }
+      break;
+    case 'inject-alarm':
+      if (window.AlarmSystem) {
+        window.AlarmSystem.inject(payload.id, payload.active);
+      }
+      break;
+    case 'reveal-changes':
+      setRevealPatientChanges(payload.reveal);
+      break;
+    case 'request-state':
+      break;
+    default:
+      console.warn('Unknown instructor message:', type);
+      return;
+  }
+  
+  // Answer every request with the new state straight away
+  broadcastSessionState();
+}
+
+// Show or hide patient changes made by the instructor or a scenario.
+// Hidden changes also hide the patient controls, so the trainee cannot see
+// or overwrite the values the instructor set.
+function setRevealPatientChanges(reveal) {
+  revealPatientChanges = reveal;
+  
+  const patientControls = document.getElementById('patient-controls');
+  if (patientControls) {
+    patientControls.style.display = reveal ? '' : 'none';
+  }
+}
+
+// Send the instructor console everything it shows
+function broadcastSessionState() {
+  if (!window.SessionChannel) return;
+  
+  window.SessionChannel.send('state', {
+    time: latestResults ? latestResults.time : 0,
+    running: simulationRunning,
+    circuitConnected: circuitConnected,
+    revealPatientChanges: revealPatientChanges,
+    ventilatorSettings: getSettings('ventilator'),
+    patientParameters: getSettings('patient'),
+    vitals: latestResults ? {
+      pressure: latestResults.pressure,
+      spo2: latestResults.spo2,
+      pao2: latestResults.pao2,
+      paco2: latestResults.paco2,
+      etco2: latestResults.etco2,
+      shuntFraction: latestResults.shuntFraction
+    } : null,
+    measurements: window.BreathMonitor ? window.BreathMonitor.getMeasurements() : null,
+    alarms: window.AlarmSystem ? window.AlarmSystem.getActiveAlarms() : [],
+    alarmDefinitions: window.AlarmSystem ? window.AlarmSystem.getDefinitions() : {},
+    scenario: window.ScenarioEngine ? window.ScenarioEngine.getStatus() : null
+  });
+  
+  lastStateBroadcast = latestResults ? latestResults.time : 0;
+}
+
+// Notify observers that the simulation has been updated, with the diff of what
+// changed: { section: { key: { from, to } } }
+function notifySimulationUpdated(changes) {
+  const event = new CustomEvent('simulation-updated', { detail: changes });
+  document.dispatchEvent(event);
 }
 
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', function() {
   initializeApp();
-  ensureWaveformRefresh();
 });
\ No newline at end of file
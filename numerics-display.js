@@ -0,0 +1,119 @@
+// numerics-display.js - Complete replacement file
+
+// Panel layout: monitored values shown next to the waveforms
+const NUMERIC_ROWS = [
+  { id: 'numeric-pip', label: 'Ppeak', unit: 'cmH2O' },
+  { id: 'numeric-pmean', label: 'Pmean', unit: 'cmH2O' },
+  { id: 'numeric-peep', label: 'PEEP', unit: 'cmH2O' },
+  { id: 'numeric-vti', label: 'VTi', unit: 'mL' },
+  { id: 'numeric-vte', label: 'VTe', unit: 'mL' },
+  { id: 'numeric-vte-ibw', label: 'VTe/IBW', unit: 'mL/kg' },
+  { id: 'numeric-mve', label: 'MVe', unit: 'L/min' },
+  { id: 'numeric-rate', label: 'fTotal', unit: 'b/min' },
+  { id: 'numeric-ie', label: 'I:E', unit: '' },
+  { id: 'numeric-cdyn', label: 'Cdyn', unit: 'mL/cmH2O' },
+  { id: 'numeric-pplat', label: 'Pplat', unit: 'cmH2O' },
+  { id: 'numeric-dp', label: 'ΔP', unit: 'cmH2O' },
+  { id: 'numeric-peep-total', label: 'PEEPtot', unit: 'cmH2O' },
+  { id: 'numeric-peepi', label: 'PEEPi', unit: 'cmH2O' },
+  { id: 'numeric-cstat', label: 'Cstat', unit: 'mL/cmH2O' },
+  { id: 'numeric-raw', label: 'Raw', unit: 'cmH2O·s/L' },
+  { id: 'spo2-value', label: 'SpO2', unit: '%' },
+  { id: 'etco2-value', label: 'EtCO2', unit: 'mmHg' },
+  { id: 'pao2-value', label: 'PaO2', unit: 'mmHg' },
+  { id: 'paco2-value', label: 'PaCO2', unit: 'mmHg' }
+];
+
+// Build the numerics panel
+function initializeNumericsDisplay() {
+  const panel = document.getElementById('numerics-panel');
+  if (!panel) return;
+  
+  // Clear any previous content
+  panel.innerHTML = '';
+  
+  NUMERIC_ROWS.forEach(row => {
+    const rowElement = document.createElement('div');
+    rowElement.className = 'numeric-row';
+    
+    const label = document.createElement('span');
+    label.className = 'numeric-label';
+    label.textContent = row.label;
+    
+    const value = document.createElement('span');
+    value.className = 'numeric-value';
+    value.id = row.id;
+    value.textContent = '--';
+    
+    const unit = document.createElement('span');
+    unit.className = 'numeric-unit';
+    unit.textContent = row.unit;
+    
+    rowElement.appendChild(label);
+    rowElement.appendChild(value);
+    rowElement.appendChild(unit);
+    panel.appendChild(rowElement);
+  });
+}
+
+// Show the measurements of the last completed breath
+function updateNumericsDisplay(measurements) {
+  if (!measurements) return;
+  
+  setNumericValue('numeric-pip', measurements.peakPressure, 0);
+  setNumericValue('numeric-pmean', measurements.meanPressure, 0);
+  setNumericValue('numeric-peep', measurements.peep, 0);
+  setNumericValue('numeric-vti', measurements.inspiredTidalVolume, 0);
+  setNumericValue('numeric-vte', measurements.expiredTidalVolume, 0);
+  setNumericValue('numeric-vte-ibw', getVolumePerKg(measurements.expiredTidalVolume), 1);
+  setNumericValue('numeric-mve', measurements.minuteVentilation, 1);
+  setNumericValue('numeric-rate', measurements.rate, 0);
+  setNumericValue('numeric-cdyn', measurements.dynamicCompliance, 0);
+  
+  const ieDisplay = document.getElementById('numeric-ie');
+  if (ieDisplay) {
+    ieDisplay.textContent = formatIERatio(measurements.ieRatio);
+  }
+}
+
+// Show the results of an inspiratory or expiratory hold maneuver
+function updateHoldDisplay(holdMeasurements) {
+  if (!holdMeasurements) return;
+  
+  setNumericValue('numeric-peep-total', holdMeasurements.totalPeep, 1);
+  setNumericValue('numeric-peepi', holdMeasurements.intrinsicPeep, 1);
+  
+  if (holdMeasurements.type === 'inspiratory') {
+    setNumericValue('numeric-pplat', holdMeasurements.plateauPressure, 0);
+    setNumericValue('numeric-dp', holdMeasurements.drivingPressure, 0);
+    setNumericValue('numeric-cstat', holdMeasurements.staticCompliance, 0);
+    setNumericValue('numeric-raw', holdMeasurements.resistance, 0);
+  }
+}
+
+// Helper function to write one numeric value
+function setNumericValue(id, value, decimals) {
+  const display = document.getElementById(id);
+  if (display) {
+    display.textContent = (value === null || value === undefined) ? '--' : value.toFixed(decimals);
+  }
+}
+
+// Helper function to express a volume per kg of the patient's ideal body weight
+function getVolumePerKg(volume) {
+  if (volume === null || volume === undefined || !window.PatientDemographics || !window.SettingsStore) return null;
+  return volume / window.PatientDemographics.getIdealBodyWeight(window.SettingsStore.get('patient'));
+}
+
+// Format an inspiratory/expiratory time ratio the way ventilators show it (1:2.0)
+function formatIERatio(ratio) {
+  if (!ratio) return '--';
+  return ratio <= 1 ? '1:' + (1 / ratio).toFixed(1) : ratio.toFixed(1) + ':1';
+}
+
+// Export functions
+window.NumericsDisplay = {
+  initialize: initializeNumericsDisplay,
+  update: updateNumericsDisplay,
+  updateHold: updateHoldDisplay
+};
\ No newline at end of file
@@ -0,0 +1,203 @@
+// patient-demographics.js - Complete replacement file
+
+// Body size of the patient: age group, ideal body weight, and presets that scale
+// the lungs and the recommended initial ventilator settings to that size
+
+// Settings come from the store, as in the simulation core
+const demographicsStore = typeof module !== 'undefined' && module.exports ? require('./settings-store.js') :
+  (typeof window !== 'undefined' ? window.SettingsStore : SettingsStore);
+
+// Age groups by age in years; each can have its own control ranges in the store schema
+const AGE_GROUPS = [
+  { id: 'neonatal', label: 'Neonatal', below: 1 },   // Neonates and infants
+  { id: 'pediatric', label: 'Pediatric', below: 18 },
+  { id: 'adult', label: 'Adult', below: Infinity }
+];
+
+const DEVINE_HEIGHT = 152.4;  // Height above which the Devine formula adds weight (cm)
+const DEVINE_SLOPE = 0.91;    // kg per cm above that height
+const DEVINE_BASE = { male: 50, female: 45.5 };  // kg
+
+// Traub-Kichen formula for children: IBW = 2.396 * e^(0.01863 * height in cm)
+const TRAUB_FACTOR = 2.396;
+const TRAUB_EXPONENT = 0.01863;
+
+// Smallest ideal body weight, that of the smallest patient the controls allow (kg)
+const MIN_IDEAL_BODY_WEIGHT = 0.5;
+
+// Body size the condition values below are given for (kg IBW)
+const REFERENCE_BODY_WEIGHT = 70;
+
+// Lung conditions: compliance per kg IBW, resistance at the reference size,
+// and the recommended initial ventilation. In pressure control the simulated
+// lungs take more than tidal volume / compliance to reach the tidal volume, even
+// given time to fill: some units open only partway into the breath and gas
+// trapped from the last breath raises the pressure they start from.
+// pressureFactor is the driving pressure they need relative to tidal volume /
+// compliance, measured on the simulation at each body size.
+const PATIENT_CONDITIONS = {
+  normal: { lungModel: 'normal', compliancePerKg: 0.7, resistance: 10, tidalVolumePerKg: 7, peep: 5, rateFactor: 1, pressureFactor: 1.4 },
+  ards: { lungModel: 'ards', compliancePerKg: 0.3, resistance: 15, tidalVolumePerKg: 6, peep: 10, rateFactor: 1.3, pressureFactor: 1.35 },
+  copd: { lungModel: 'copd', compliancePerKg: 1.15, resistance: 20, tidalVolumePerKg: 7, peep: 5, rateFactor: 0.8, pressureFactor: 2.4 },  // Slower rate to let the lungs empty
+  asthma: { lungModel: 'asthma', compliancePerKg: 0.55, resistance: 25, tidalVolumePerKg: 7, peep: 5, rateFactor: 0.8, pressureFactor: 1.9 }
+};
+
+// Lowest driving pressure (PIP above PEEP) a preset starts from (cmH2O)
+const MIN_PRESET_DRIVING_PRESSURE = 10;
+
+// Breath rate to start from in each age group (b/min)
+const RECOMMENDED_RATES = { neonatal: 40, pediatric: 20, adult: 15 };
+
+// Default alarm limits. Volume limits scale with IBW around the minute volume
+// expected at the recommended rate; the rate limit is set per age group.
+const LOW_EXHALED_VT_PER_KG = 4;       // mL/kg IBW
+const EXPECTED_VT_PER_KG = 7;          // mL/kg IBW
+const MINUTE_VOLUME_LIMIT_FACTORS = { low: 0.5, high: 2 };  // Relative to the expected minute volume
+const HIGH_RATE_LIMITS = { neonatal: 80, pediatric: 45, adult: 35 };  // b/min
+
+// Typical patients of each size
+const BODY_SIZES = {
+  neonate: { age: 0, sex: 'male', height: 50, weight: 3.5 },
+  child: { age: 6, sex: 'female', height: 115, weight: 21 },
+  adultFemale: { age: 45, sex: 'female', height: 163, weight: 65 },
+  adultMale: { age: 45, sex: 'male', height: 175, weight: 70 }
+};
+
+// Get the age group of a patient: 'neonatal', 'pediatric' or 'adult'
+function getAgeGroup(patient) {
+  return AGE_GROUPS.find(group => patient.age < group.below).id;
+}
+
+function getAgeGroupLabel(patient) {
+  return AGE_GROUPS.find(group => patient.age < group.below).label;
+}
+
+// Ideal body weight (kg): Devine for adults, Traub-Kichen from height for
+// children, and the actual weight for neonates and infants. Never below the
+// smallest patient, whatever height a scenario sets.
+function getIdealBodyWeight(patient) {
+  const ageGroup = getAgeGroup(patient);
+  
+  let idealBodyWeight;
+  if (ageGroup === 'neonatal') {
+    idealBodyWeight = patient.weight;
+  } else if (ageGroup === 'pediatric') {
+    idealBodyWeight = TRAUB_FACTOR * Math.exp(TRAUB_EXPONENT * patient.height);
+  } else {
+    idealBodyWeight = DEVINE_BASE[patient.sex] + DEVINE_SLOPE * (patient.height - DEVINE_HEIGHT);
+  }
+  return Math.max(idealBodyWeight, MIN_IDEAL_BODY_WEIGHT);
+}
+
+// Slider range of a schema entry for an age group, e.g. smaller tidal volumes for neonates
+function getControlRange(entry, ageGroup) {
+  const range = entry.ranges && entry.ranges[ageGroup];
+  return {
+    min: range ? range.min : entry.min,
+    max: range ? range.max : entry.max,
+    step: range ? range.step : entry.step
+  };
+}
+
+// Height and weight moved into the control ranges of the patient's age group,
+// e.g. once a neonate's age is changed to an adult's. Returns { height, weight }.
+function fitBodySize(patient) {
+  const ageGroup = getAgeGroup(patient);
+  const schema = demographicsStore.getSchema('patient');
+  return {
+    height: clampToRange(patient.height, getControlRange(schema.height, ageGroup)),
+    weight: clampToRange(patient.weight, getControlRange(schema.weight, ageGroup))
+  };
+}
+
+// Default alarm limits for the patient's size, with the keys AlarmSystem uses:
+// { lowExhaledVt, lowMinuteVolume, highMinuteVolume, highRate }
+function getDefaultAlarmLimits(patient) {
+  const ageGroup = getAgeGroup(patient);
+  const idealBodyWeight = getIdealBodyWeight(patient);
+  const expectedMinuteVolume = EXPECTED_VT_PER_KG * idealBodyWeight * RECOMMENDED_RATES[ageGroup] / 1000;  // L/min
+  
+  return {
+    lowExhaledVt: Math.round(LOW_EXHALED_VT_PER_KG * idealBodyWeight),
+    lowMinuteVolume: +(expectedMinuteVolume * MINUTE_VOLUME_LIMIT_FACTORS.low).toFixed(1),
+    highMinuteVolume: +(expectedMinuteVolume * MINUTE_VOLUME_LIMIT_FACTORS.high).toFixed(1),
+    highRate: HIGH_RATE_LIMITS[ageGroup]
+  };
+}
+
+// Get the demographics of a typical patient: 'neonate', 'child', 'adultFemale' or 'adultMale'
+function getBodySize(id) {
+  return {...BODY_SIZES[id]};
+}
+
+// Patient parameters and recommended initial ventilator settings for a lung
+// condition, scaled to the patient's size. Returns { patient, ventilator }.
+function getPresetSettings(condition, patient) {
+  const preset = PATIENT_CONDITIONS[condition];
+  const ageGroup = getAgeGroup(patient);
+  const idealBodyWeight = getIdealBodyWeight(patient);
+  
+  // Compliance grows with lung size; resistance rises as the airways get narrower
+  const compliance = fitToControl('patient', 'compliance', preset.compliancePerKg * idealBodyWeight, ageGroup);
+  const resistance = fitToControl('patient', 'resistance',
+    preset.resistance * Math.sqrt(REFERENCE_BODY_WEIGHT / idealBodyWeight), ageGroup);
+  
+  const tidalVolume = fitToControl('ventilator', 'tidalVolume', preset.tidalVolumePerKg * idealBodyWeight, ageGroup);
+  const rate = fitToControl('ventilator', 'rate', RECOMMENDED_RATES[ageGroup] * preset.rateFactor, ageGroup);
+  
+  // Pressure control starts at the driving pressure that gives the same tidal
+  // volume, allowing for the part the lungs do not fill in the inspiratory time
+  const filledFraction = getFilledFraction(compliance, resistance, rate);
+  const drivingPressure = Math.max(preset.pressureFactor * tidalVolume / compliance / filledFraction, MIN_PRESET_DRIVING_PRESSURE);
+  
+  return {
+    patient: { lungModel: preset.lungModel, compliance: compliance, resistance: resistance },
+    ventilator: {
+      tidalVolume: tidalVolume,
+      rate: rate,
+      peep: preset.peep,
+      pip: fitToControl('ventilator', 'pip', preset.peep + drivingPressure, ageGroup)
+    }
+  };
+}
+
+// Helper function to get the fraction of a pressure-controlled breath the lungs
+// take in before inspiration ends, filling with time constant resistance x compliance.
+// The preset leaves the I:E ratio as it is.
+function getFilledFraction(compliance, resistance, rate) {
+  const ieRatio = demographicsStore.get('ventilator').ieRatio;
+  const inspirationTime = (60000 / rate) * ieRatio / (ieRatio + 1);  // ms
+  const timeConstant = resistance * compliance;  // cmH2O·s/L * mL/cmH2O = ms
+  return 1 - Math.exp(-inspirationTime / timeConstant);
+}
+
+// Helper function to round a value onto a control's slider for the age group
+function fitToControl(section, key, value, ageGroup) {
+  const range = getControlRange(demographicsStore.getSchema(section)[key], ageGroup);
+  const stepped = Math.round(value / range.step) * range.step;
+  return +clampToRange(stepped, range).toFixed(3);
+}
+
+// Helper function to keep a value within a range's min and max
+function clampToRange(value, range) {
+  return Math.min(Math.max(value, range.min), range.max);
+}
+
+// Export functions
+const PatientDemographics = {
+  getAgeGroup: getAgeGroup,
+  getAgeGroupLabel: getAgeGroupLabel,
+  getIdealBodyWeight: getIdealBodyWeight,
+  getControlRange: getControlRange,
+  fitBodySize: fitBodySize,
+  getDefaultAlarmLimits: getDefaultAlarmLimits,
+  getBodySize: getBodySize,
+  getPresetSettings: getPresetSettings
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PatientDemographics;
+}
+if (typeof window !== 'undefined') {
+  window.PatientDemographics = PatientDemographics;
+}
\ No newline at end of file
@@ -0,0 +1,244 @@
+// regional-display.js - Complete replacement file
+
+// EIT-style view of the lung units: one band per unit, ventral at the top and
+// dorsal at the bottom, showing where each breath's tidal volume went
+let regionalCanvas, regionalCtx;
+let regionalRenderRequested = false;
+
+// Latest state of each unit, from the most recent sample
+let currentUnits = [];
+
+// The breath in progress and the last complete breath
+let lastRegionalPhase = null;
+let breathTracking = null;     // Per-unit volumes, openings and closings so far this breath
+let lastBreathRegions = null;  // { units: [...], centerOfVentilation, recruited, derecruited }
+
+const REGIONAL_PADDING = 10;
+const REGIONAL_LABEL_WIDTH = 60;
+
+// Band colours; ventilated units are shaded by their share of the tidal volume
+const REGIONAL_COLORS = {
+  collapsed: '#9e9e9e',        // Closed for the whole breath
+  tidalRecruitment: '#ff9800', // Opened or closed during the breath
+  overdistended: '#d32f2f',    // Stretched past its overdistension pressure
+  ventilated: [227, 242, 253], // Lightest shade (no share), as RGB
+  wellVentilated: [13, 71, 161] // Darkest shade (largest share), as RGB
+};
+
+// Initialize the regional display
+function initializeRegionalDisplay() {
+  regionalCanvas = document.getElementById('regional-canvas');
+  if (regionalCanvas) regionalCtx = regionalCanvas.getContext('2d');
+  
+  setupRegionalCanvas();
+  requestRegionalRender();
+  
+  window.addEventListener('resize', function() {
+    setupRegionalCanvas();
+    requestRegionalRender();
+  });
+}
+
+// Set canvas dimensions to match its container
+function setupRegionalCanvas() {
+  if (!regionalCanvas) return;
+  
+  const computedStyle = getComputedStyle(regionalCanvas.parentElement);
+  regionalCanvas.width = parseInt(computedStyle.width, 10);
+  regionalCanvas.height = parseInt(computedStyle.height, 10);
+}
+
+// Add a simulation sample; a breath ends when the next inspiration begins.
+// Replayed sessions carry no lung units and are ignored.
+function addRegionalSample(results) {
+  if (!results.lungUnits) return;
+  
+  const units = results.lungUnits.slice().sort((a, b) => a.position - b.position);
+  
+  if (results.breathPhase === 'inspiration' && lastRegionalPhase !== 'inspiration') {
+    if (breathTracking) lastBreathRegions = summarizeBreath(breathTracking, units);
+    breathTracking = startBreathTracking(units);
+  } else if (breathTracking) {
+    trackUnits(breathTracking, units);
+  }
+  lastRegionalPhase = results.breathPhase;
+  currentUnits = units;
+  
+  requestRegionalRender();
+}
+
+// Helper function to begin following the units through a breath
+function startBreathTracking(units) {
+  return {
+    startVolumes: units.map(unit => unit.volume),
+    maxVolumes: units.map(unit => unit.volume),
+    openings: units.map(() => 0),
+    closings: units.map(() => 0),
+    wasOpen: units.map(unit => unit.isOpen),
+    openedAtAll: units.map(unit => unit.isOpen),
+    overdistended: units.map(unit => unit.overdistended)
+  };
+}
+
+// Helper function to note volume peaks, openings, closings and overdistension
+function trackUnits(tracking, units) {
+  units.forEach((unit, i) => {
+    tracking.maxVolumes[i] = Math.max(tracking.maxVolumes[i], unit.volume);
+    if (unit.isOpen && !tracking.wasOpen[i]) tracking.openings[i]++;
+    if (!unit.isOpen && tracking.wasOpen[i]) tracking.closings[i]++;
+    tracking.wasOpen[i] = unit.isOpen;
+    tracking.openedAtAll[i] = tracking.openedAtAll[i] || unit.isOpen;
+    tracking.overdistended[i] = tracking.overdistended[i] || unit.overdistended;
+  });
+}
+
+// Work out each unit's share of a completed breath and where ventilation was centred
+function summarizeBreath(tracking, units) {
+  const tidalVolumes = tracking.maxVolumes.map((max, i) => Math.max(max - tracking.startVolumes[i], 0));
+  const totalTidalVolume = tidalVolumes.reduce((total, v) => total + v, 0);
+  
+  // Centre of ventilation: 0% is all ventral, 100% all dorsal (each unit counted at the middle of its band)
+  const bandHeight = 1 / units.length;
+  const centerOfVentilation = totalTidalVolume > 0 ?
+    100 * tidalVolumes.reduce((total, v, i) => total + v * (units[i].position + bandHeight / 2), 0) / totalTidalVolume :
+    null;
+  
+  return {
+    units: units.map((unit, i) => ({
+      id: unit.id,
+      tidalVolume: tidalVolumes[i],
+      share: totalTidalVolume > 0 ? tidalVolumes[i] / totalTidalVolume : 0,
+      collapsed: !tracking.openedAtAll[i],
+      tidalRecruitment: tracking.openings[i] > 0 || tracking.closings[i] > 0,
+      overdistended: tracking.overdistended[i]
+    })),
+    centerOfVentilation: centerOfVentilation,
+    recruited: tracking.openings.filter(count => count > 0).length,
+    derecruited: tracking.closings.filter(count => count > 0).length
+  };
+}
+
+// Forget the breaths seen so far, e.g. when a replay starts
+function clearRegionalDisplay() {
+  currentUnits = [];
+  lastRegionalPhase = null;
+  breathTracking = null;
+  lastBreathRegions = null;
+  requestRegionalRender();
+}
+
+// Get the last complete breath's regional summary
+function getRegionalSummary() {
+  return lastBreathRegions;
+}
+
+// Render once at the next animation frame
+function requestRegionalRender() {
+  if (regionalRenderRequested) return;
+  regionalRenderRequested = true;
+  
+  requestAnimationFrame(function() {
+    regionalRenderRequested = false;
+    renderRegionalDisplay();
+    updateRegionalSummary();
+  });
+}
+
+// Draw a band per unit with its state and tidal share, and mark the centre of ventilation
+function renderRegionalDisplay() {
+  if (!regionalCanvas || !regionalCtx) return;
+  
+  const ctx = regionalCtx;
+  const width = regionalCanvas.width;
+  const height = regionalCanvas.height;
+  ctx.clearRect(0, 0, width, height);
+  
+  if (currentUnits.length === 0) return;
+  
+  const bandLeft = REGIONAL_PADDING + REGIONAL_LABEL_WIDTH;
+  const bandWidth = width - bandLeft - REGIONAL_PADDING;
+  const bandHeight = (height - 2 * REGIONAL_PADDING) / currentUnits.length;
+  
+  ctx.font = '12px Arial';
+  ctx.textBaseline = 'middle';
+  
+  currentUnits.forEach((unit, i) => {
+    const y = REGIONAL_PADDING + i * bandHeight;
+    const region = lastBreathRegions ? lastBreathRegions.units[i] : null;
+    
+    ctx.fillStyle = getRegionColor(region);
+    ctx.fillRect(bandLeft, y + 1, bandWidth, bandHeight - 2);
+    
+    // Live state: a filled marker while the unit is open, an empty one while it is closed
+    ctx.strokeStyle = unit.overdistended ? REGIONAL_COLORS.overdistended : '#333';
+    ctx.fillStyle = unit.overdistended ? REGIONAL_COLORS.overdistended : '#4caf50';
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(REGIONAL_PADDING + 6, y + bandHeight / 2, 5, 0, 2 * Math.PI);
+    if (unit.isOpen) ctx.fill();
+    ctx.stroke();
+    
+    if (region && !region.collapsed) {
+      ctx.fillStyle = region.share > 0.15 ? '#fff' : '#333';
+      ctx.textAlign = 'left';
+      ctx.fillText((region.share * 100).toFixed(0) + '%  ' + region.tidalVolume.toFixed(0) + ' mL', bandLeft + 6, y + bandHeight / 2);
+    }
+  });
+  
+  ctx.fillStyle = '#333';
+  ctx.textAlign = 'left';
+  ctx.fillText('Ventral', REGIONAL_PADDING + 16, REGIONAL_PADDING + bandHeight / 2);
+  ctx.fillText('Dorsal', REGIONAL_PADDING + 16, height - REGIONAL_PADDING - bandHeight / 2);
+  
+  // Centre of ventilation as a line across the bands
+  if (lastBreathRegions && lastBreathRegions.centerOfVentilation !== null) {
+    const y = REGIONAL_PADDING + (height - 2 * REGIONAL_PADDING) * lastBreathRegions.centerOfVentilation / 100;
+    ctx.strokeStyle = '#000';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(bandLeft, y);
+    ctx.lineTo(width - REGIONAL_PADDING, y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    
+    ctx.textAlign = 'right';
+    ctx.fillText('CoV', width - REGIONAL_PADDING - 4, y - 8);
+  }
+}
+
+// Helper function to pick a band's colour from the last breath
+function getRegionColor(region) {
+  if (!region || region.collapsed) return REGIONAL_COLORS.collapsed;
+  if (region.overdistended) return REGIONAL_COLORS.overdistended;
+  if (region.tidalRecruitment) return REGIONAL_COLORS.tidalRecruitment;
+  
+  // A third of the tidal volume in one unit already counts as the darkest shade
+  const weight = Math.min(region.share * 3, 1);
+  const rgb = REGIONAL_COLORS.ventilated.map((low, i) => Math.round(low + (REGIONAL_COLORS.wellVentilated[i] - low) * weight));
+  return `rgb(${rgb.join(',')})`;
+}
+
+// Show the centre of ventilation and the per-breath recruitment counts
+function updateRegionalSummary() {
+  const summary = document.getElementById('regional-summary');
+  if (!summary) return;
+  
+  if (!lastBreathRegions) {
+    summary.textContent = 'CoV -- | Recruited -- | Derecruited --';
+    return;
+  }
+  
+  const cov = lastBreathRegions.centerOfVentilation;
+  summary.textContent = `CoV ${cov === null ? '--' : cov.toFixed(0) + '%'} | ` +
+    `Recruited ${lastBreathRegions.recruited} | Derecruited ${lastBreathRegions.derecruited}`;
+}
+
+// Export functions
+window.RegionalDisplay = {
+  initialize: initializeRegionalDisplay,
+  addSample: addRegionalSample,
+  clear: clearRegionalDisplay,
+  getSummary: getRegionalSummary,
+  refresh: requestRegionalRender
+};
\ No newline at end of file
@@ -0,0 +1,336 @@
+// scenario-engine.js - Complete replacement file
+
+// Ramped values are rounded to the steps of the controls, which come from the
+// store schema and the patient's age group
+const scenarioStore = typeof module !== 'undefined' && module.exports ? require('./settings-store.js') :
+  (typeof window !== 'undefined' ? window.SettingsStore : SettingsStore);
+const scenarioDemographics = typeof module !== 'undefined' && module.exports ? require('./patient-demographics.js') :
+  (typeof window !== 'undefined' ? window.PatientDemographics : PatientDemographics);
+
+// Events a scenario can contain, with the fields each one needs
+const EVENT_TYPES = {
+  patient: ['parameters'],       // Change patient parameters, optionally ramped over `duration` seconds
+  ventilator: ['parameters'],    // Change ventilator settings, optionally ramped over `duration` seconds
+  occlusion: ['units'],          // Block (or with `occluded: false` clear) the airways of lung units
+  pneumothorax: ['units', 'pressure'], // Raise the pleural pressure around lung units (cmH2O)
+  disconnect: [],                // Disconnect the patient from the circuit
+  reconnect: [],                 // Reconnect the patient
+  message: ['message']           // Only show a message to the instructor
+};
+
+// Scenario being run
+let scenario = null;
+let scenarioRunning = false;
+let scenarioStartTime = null;  // Simulation time the scenario started (ms)
+let scenarioElapsed = 0;       // Time since the scenario started (ms)
+let engineTime = 0;            // Latest simulation time seen (ms)
+
+// Scenario progress
+let pendingEvents = [];        // Events that have not fired yet
+let activeRamps = [];          // Gradual parameter changes in progress
+let scenarioLog = [];          // Events that have fired
+let latestMeasurements = {};   // Last completed breath, for breath-based conditions
+
+// How events reach the simulation
+let handlers = {};
+
+// Set up the engine. `simulation` is the SimulationCore; `applySettings(changes, type)`,
+// `setCircuitConnected(connected)` and `onEvent(entry)` are optional overrides/observers.
+function initializeScenarioEngine(options) {
+  handlers = {...options};
+  unloadScenario();
+}
+
+// Check a scenario definition and get it ready to start
+function loadScenario(definition) {
+  validateScenario(definition);
+  stopScenario();
+  scenario = definition;
+  scenarioLog = [];
+  return scenario;
+}
+
+// Throw an error describing the first problem in a scenario definition
+function validateScenario(definition) {
+  if (!definition || !Array.isArray(definition.events)) {
+    throw new Error('Scenario must have an events array');
+  }
+  
+  definition.events.forEach((event, index) => {
+    validateEvent(event, `Event ${index}`);
+    if (event.at === undefined && event.when === undefined) {
+      throw new Error(`Event ${index}: needs "at" (seconds) or "when" (condition)`);
+    }
+    if (event.when && (!event.when.signal || (event.when.below === undefined && event.when.above === undefined))) {
+      throw new Error(`Event ${index}: condition needs "signal" and "below" or "above"`);
+    }
+  });
+}
+
+// Throw an error if an event is not one the engine can carry out
+function validateEvent(event, name) {
+  const requiredFields = event ? EVENT_TYPES[event.type] : null;
+  if (!requiredFields) {
+    throw new Error(`${name}: unknown type "${event ? event.type : event}"`);
+  }
+  requiredFields.forEach(field => {
+    if (event[field] === undefined) {
+      throw new Error(`${name}: ${event.type} needs "${field}"`);
+    }
+  });
+}
+
+// Carry out a single event straight away, outside any scenario timeline
+function injectEvent(event) {
+  validateEvent(event, 'Event');
+  fireEvent(event);
+}
+
+// Forget the loaded scenario
+function unloadScenario() {
+  stopScenario();
+  scenario = null;
+  scenarioLog = [];
+}
+
+// Apply the scenario's starting state and begin its timeline with the next update
+function startScenario() {
+  if (!scenario) return false;
+  
+  if (scenario.initial) {
+    if (scenario.initial.ventilatorSettings) applySettings(scenario.initial.ventilatorSettings, 'ventilator');
+    if (scenario.initial.patientParameters) applySettings(scenario.initial.patientParameters, 'patient');
+  }
+  
+  pendingEvents = scenario.events.map(event => ({...event, conditionSince: null}));
+  activeRamps = [];
+  scenarioLog = [];
+  latestMeasurements = {};
+  scenarioStartTime = null;
+  scenarioElapsed = 0;
+  scenarioRunning = true;
+  return true;
+}
+
+// Stop the timeline; changes already made stay in place
+function stopScenario() {
+  scenarioRunning = false;
+  pendingEvents = [];
+  activeRamps = [];
+}
+
+// Advance the scenario with the latest simulation results and, when a breath
+// has just completed, its measurements
+function updateScenario(results, measurements) {
+  engineTime = results.time;
+  if (measurements) latestMeasurements = measurements;
+  
+  // Ramps from injected events run whether or not a scenario is running
+  updateRamps();
+  if (!scenarioRunning) return;
+  
+  if (scenarioStartTime === null) scenarioStartTime = results.time;
+  scenarioElapsed = results.time - scenarioStartTime;
+  
+  // Conditions can watch both continuous signals and breath measurements
+  const signals = {...latestMeasurements, ...results};
+  pendingEvents = pendingEvents.filter(event => {
+    if (!isEventDue(event, signals)) return true;
+    fireEvent(event);
+    return false;
+  });
+  
+  if (pendingEvents.length === 0 && activeRamps.length === 0) {
+    scenarioRunning = false;
+  }
+}
+
+// Check whether an event's time has come and its condition has held long enough
+function isEventDue(event, signals) {
+  // A condition is only watched once the event's time has passed
+  if (event.at !== undefined && scenarioElapsed < event.at * 1000) return false;
+  if (!event.when) return true;
+  
+  const value = signals[event.when.signal];
+  const conditionMet = typeof value === 'number' && (
+    (event.when.below !== undefined && value < event.when.below) ||
+    (event.when.above !== undefined && value > event.when.above)
+  );
+  
+  if (!conditionMet) {
+    event.conditionSince = null;
+    return false;
+  }
+  if (event.conditionSince === null) event.conditionSince = scenarioElapsed;
+  return scenarioElapsed - event.conditionSince >= (event.when.for || 0) * 1000;
+}
+
+// Carry out one event
+function fireEvent(event) {
+  switch (event.type) {
+    case 'patient':
+    case 'ventilator':
+      if (event.duration > 0) {
+        startRamp(event.parameters, event.type, event.duration * 1000);
+      } else {
+        applySettings(event.parameters, event.type);
+      }
+      break;
+    case 'occlusion':
+      handlers.simulation.setUnitsOccluded(event.units, event.occluded !== false);
+      break;
+    case 'pneumothorax':
+      handlers.simulation.setPleuralPressure(event.units, event.pressure);
+      break;
+    case 'disconnect':
+      setCircuitConnected(false);
+      break;
+    case 'reconnect':
+      setCircuitConnected(true);
+      break;
+  }
+  
+  const entry = {
+    time: engineTime,
+    type: event.type,
+    message: event.message || describeEvent(event)
+  };
+  scenarioLog.push(entry);
+  if (handlers.onEvent) handlers.onEvent(entry);
+}
+
+// Describe an event that has no message of its own
+function describeEvent(event) {
+  switch (event.type) {
+    case 'patient':
+    case 'ventilator': {
+      const changes = Object.keys(event.parameters).map(key => `${key} ${event.parameters[key]}`).join(', ');
+      return event.duration > 0 ? `${changes} over ${event.duration}s` : changes;
+    }
+    case 'occlusion':
+      return (event.occluded === false ? 'Airways cleared: units ' : 'Airways occluded: units ') + event.units.join(', ');
+    case 'pneumothorax':
+      return `Pleural pressure ${event.pressure} cmH2O: units ${event.units.join(', ')}`;
+    case 'disconnect':
+      return 'Circuit disconnected';
+    case 'reconnect':
+      return 'Circuit reconnected';
+    default:
+      return event.type;
+  }
+}
+
+// Begin a linear change of the numeric parameters from their current values;
+// anything else (e.g. lungModel or mode) changes straight away
+function startRamp(parameters, type, duration) {
+  const current = getSettings(type);
+  const from = {};
+  const to = {};
+  const immediate = {};
+  
+  Object.keys(parameters).forEach(key => {
+    if (typeof parameters[key] === 'number' && typeof current[key] === 'number') {
+      from[key] = current[key];
+      to[key] = parameters[key];
+    } else {
+      immediate[key] = parameters[key];
+    }
+  });
+  
+  if (Object.keys(immediate).length > 0) applySettings(immediate, type);
+  activeRamps.push({ type: type, from: from, to: to, applied: {...from}, startTime: engineTime, duration: duration });
+}
+
+// Move every ramp along to the current scenario time. A value is only sent
+// when it reaches the next step of its control, not on every sample, and the
+// ramp ends exactly on its target.
+function updateRamps() {
+  activeRamps = activeRamps.filter(ramp => {
+    const progress = Math.min((engineTime - ramp.startTime) / ramp.duration, 1);
+    const values = {};
+    Object.keys(ramp.to).forEach(key => {
+      const value = progress < 1 ?
+        roundToControlStep(ramp.type, key, ramp.from[key] + (ramp.to[key] - ramp.from[key]) * progress) :
+        ramp.to[key];
+      if (value !== ramp.applied[key]) {
+        values[key] = value;
+        ramp.applied[key] = value;
+      }
+    });
+    if (Object.keys(values).length > 0) applySettings(values, ramp.type);
+    return progress < 1;
+  });
+}
+
+// Helper function to round a value to the step of its control for the patient's age group
+function roundToControlStep(type, key, value) {
+  const entry = scenarioStore.getSchema(type)[key];
+  if (!entry || !entry.step) return value;
+  
+  const ageGroup = scenarioDemographics.getAgeGroup(getSettings('patient'));
+  const step = scenarioDemographics.getControlRange(entry, ageGroup).step;
+  return +(Math.round(value / step) * step).toFixed(3);
+}
+
+// Send settings changes to the simulation (through the app when it wants to keep its controls in step)
+function applySettings(changes, type) {
+  if (handlers.applySettings) {
+    handlers.applySettings(changes, type);
+  } else if (type === 'ventilator') {
+    handlers.simulation.updateVentilatorSettings(changes);
+  } else {
+    handlers.simulation.updatePatientParameters(changes);
+  }
+}
+
+// Current ventilator settings or patient parameters
+function getSettings(type) {
+  return type === 'ventilator' ?
+    handlers.simulation.getVentilatorSettings() :
+    handlers.simulation.getPatientParameters();
+}
+
+// Connect or disconnect the circuit
+function setCircuitConnected(connected) {
+  if (handlers.setCircuitConnected) {
+    handlers.setCircuitConnected(connected);
+  } else {
+    handlers.simulation.setCircuitConnected(connected);
+  }
+}
+
+// Get the scenario's progress
+function getScenarioStatus() {
+  return {
+    name: scenario ? scenario.name || 'Untitled scenario' : null,
+    running: scenarioRunning,
+    elapsed: scenarioElapsed,
+    remainingEvents: pendingEvents.length
+  };
+}
+
+// Get a copy of the events that have fired
+function getScenarioLog() {
+  return scenarioLog.slice();
+}
+
+// Export functions
+const ScenarioEngine = {
+  initialize: initializeScenarioEngine,
+  load: loadScenario,
+  validate: validateScenario,
+  inject: injectEvent,
+  unload: unloadScenario,
+  start: startScenario,
+  stop: stopScenario,
+  update: updateScenario,
+  getStatus: getScenarioStatus,
+  getLog: getScenarioLog
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScenarioEngine;
+}
+if (typeof window !== 'undefined') {
+  window.ScenarioEngine = ScenarioEngine;
+}
\ No newline at end of file
@@ -0,0 +1,85 @@
+// session-channel.js - Complete replacement file
+
+// Trainee and instructor views in the same browser talk over this channel
+const SESSION_CHANNEL_NAME = 'ventsim-session';
+
+let channel = null;            // BroadcastChannel, when the browser supports it
+let sessionRole = null;        // 'trainee' or 'instructor'
+let messageHandler = null;     // Called with (type, payload) for messages from the other view
+let peerWindow = null;         // Other window for the postMessage fallback
+
+// Open the channel for one side of the session
+function openSessionChannel(role, onMessage) {
+  closeSessionChannel();
+  sessionRole = role;
+  messageHandler = onMessage;
+  
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(SESSION_CHANNEL_NAME);
+    channel.onmessage = function(e) {
+      receiveSessionMessage(e.data);
+    };
+  } else {
+    // Without BroadcastChannel, the instructor window must be opened from the
+    // trainee window so each can reach the other with postMessage
+    window.addEventListener('message', handleWindowMessage);
+  }
+  
+  console.log(`Session channel open as ${role}`);
+}
+
+// Close the channel
+function closeSessionChannel() {
+  if (channel) {
+    channel.close();
+    channel = null;
+  }
+  window.removeEventListener('message', handleWindowMessage);
+}
+
+// Remember the window opened for the other side (postMessage fallback)
+function setPeerWindow(target) {
+  peerWindow = target;
+}
+
+// Send a message to the other view
+function sendSessionMessage(type, payload) {
+  const message = {
+    channel: SESSION_CHANNEL_NAME,
+    sender: sessionRole,
+    type: type,
+    payload: payload
+  };
+  
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+  
+  const target = peerWindow || window.opener;
+  if (target && !target.closed) {
+    // Pages opened from file:// have an opaque origin that cannot be targeted
+    const targetOrigin = window.location.origin === 'null' ? '*' : window.location.origin;
+    target.postMessage(message, targetOrigin);
+  }
+}
+
+// Receive a postMessage from the other window
+function handleWindowMessage(e) {
+  if (window.location.origin !== 'null' && e.origin !== window.location.origin) return;
+  receiveSessionMessage(e.data);
+}
+
+// Pass on messages meant for this session from the other side
+function receiveSessionMessage(message) {
+  if (!message || message.channel !== SESSION_CHANNEL_NAME || message.sender === sessionRole) return;
+  if (messageHandler) messageHandler(message.type, message.payload);
+}
+
+// Export functions
+window.SessionChannel = {
+  open: openSessionChannel,
+  close: closeSessionChannel,
+  setPeerWindow: setPeerWindow,
+  send: sendSessionMessage
+};
\ No newline at end of file
@@ -0,0 +1,149 @@
+// session-recorder.js - Complete replacement file
+
+// Recorded sessions carry this so older files can be recognised when the format changes
+const SESSION_FORMAT_VERSION = 1;
+
+// Fields kept from each simulation step; lung units and hold details are left
+// out so an hour-long session stays a manageable size
+const SAMPLE_FIELDS = [
+  'time', 'breathPhase', 'breathType', 'pressure', 'volume', 'flow',
+  'musclePressure', 'co2', 'spo2', 'pao2', 'paco2', 'etco2', 'shuntFraction', 'hold'
+];
+
+// Session being recorded
+let recording = false;
+let session = null;
+let lastSampleTime = 0;        // Simulation time of the latest sample (ms)
+
+// Start a new recording from the current settings
+function startRecording(ventilatorSettings, patientParameters) {
+  session = {
+    version: SESSION_FORMAT_VERSION,
+    recordedAt: new Date().toISOString(),
+    initial: {
+      ventilatorSettings: {...ventilatorSettings},
+      patientParameters: {...patientParameters}
+    },
+    samples: [],
+    settings: [],              // { time, type, changes }
+    events: []                 // { time, source, ... } from alarms, scenarios and the controls
+  };
+  lastSampleTime = 0;
+  recording = true;
+}
+
+// Stop adding to the recording; the session stays available for export
+function stopRecording() {
+  recording = false;
+}
+
+function isRecording() {
+  return recording;
+}
+
+// Record one simulation step
+function recordSample(results) {
+  if (!recording) return;
+  
+  const sample = {};
+  SAMPLE_FIELDS.forEach(field => {
+    sample[field] = results[field];
+  });
+  session.samples.push(sample);
+  lastSampleTime = results.time;
+}
+
+// Record a change of ventilator settings ('ventilator') or patient parameters ('patient')
+function recordSettings(type, changes) {
+  if (!recording) return;
+  session.settings.push({ time: lastSampleTime, type: type, changes: {...changes} });
+}
+
+// Record something that happened, e.g. an alarm, a scenario event or a hold result
+function recordEvent(source, details) {
+  if (!recording) return;
+  session.events.push({ time: lastSampleTime, source: source, ...details });
+}
+
+// Get the session being recorded (or last recorded)
+function getSession() {
+  return session;
+}
+
+// Settings in force at a time in a session
+function getSettingsAt(recordedSession, time) {
+  const ventilatorSettings = {...recordedSession.initial.ventilatorSettings};
+  const patientParameters = {...recordedSession.initial.patientParameters};
+  
+  recordedSession.settings.forEach(entry => {
+    if (entry.time > time) return;
+    Object.assign(entry.type === 'ventilator' ? ventilatorSettings : patientParameters, entry.changes);
+  });
+  
+  return { ventilatorSettings: ventilatorSettings, patientParameters: patientParameters };
+}
+
+// Turn a session into the JSON file it is saved as
+function exportSession(recordedSession) {
+  return JSON.stringify(recordedSession || session);
+}
+
+// The recorded waveforms as CSV, one row per sample
+function exportWaveformCSV(recordedSession) {
+  return toCSV((recordedSession || session).samples, SAMPLE_FIELDS);
+}
+
+// Read a saved session, throwing an error if it is not one
+function importSession(json) {
+  const imported = typeof json === 'string' ? JSON.parse(json) : json;
+  
+  if (!imported || imported.version !== SESSION_FORMAT_VERSION) {
+    throw new Error('Not a recorded session (or from an unsupported version)');
+  }
+  if (!imported.initial || !Array.isArray(imported.samples) || imported.samples.length === 0) {
+    throw new Error('Session has no recorded samples');
+  }
+  imported.settings = imported.settings || [];
+  imported.events = imported.events || [];
+  
+  return imported;
+}
+
+// Format rows as CSV with the given columns
+function toCSV(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => {
+    lines.push(columns.map(column => formatValue(row[column])).join(','));
+  });
+  return lines.join('\n') + '\n';
+}
+
+// Round numbers so the output stays readable and diffable
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(Math.round(value * 1000) / 1000);
+  return String(value);
+}
+
+// Export functions
+const SessionRecorder = {
+  start: startRecording,
+  stop: stopRecording,
+  isRecording: isRecording,
+  recordSample: recordSample,
+  recordSettings: recordSettings,
+  recordEvent: recordEvent,
+  getSession: getSession,
+  getSettingsAt: getSettingsAt,
+  exportSession: exportSession,
+  exportWaveformCSV: exportWaveformCSV,
+  importSession: importSession,
+  toCSV: toCSV
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SessionRecorder;
+}
+if (typeof window !== 'undefined') {
+  window.SessionRecorder = SessionRecorder;
+}
\ No newline at end of file
@@ -0,0 +1,213 @@
+// session-replay.js - Complete replacement file
+
+// Playback speeds offered for debriefing
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4, 8];
+
+// How often the replay moves on (real ms) and how much history the waveforms get
+const REPLAY_TICK = 50;          // ms
+const REPLAY_WINDOW = 30000;     // ms, the same history the live waveforms keep
+
+// Session being replayed
+let replaySession = null;
+let replayPosition = 0;          // Simulation time shown (ms)
+let replaySpeed = 1;
+let replayTimer = null;
+
+// Called when a replay starts (to stop the live simulation) and when it ends
+let replayHandlers = {};
+
+// Set up the replay controls
+function initializeSessionReplay(handlers) {
+  replayHandlers = handlers || {};
+  setupReplayControls();
+  renderReplayControls();
+}
+
+// Open a recorded session for replay, paused at its start
+function loadReplay(session) {
+  pauseReplay();
+  replaySession = session;
+  replaySpeed = 1;
+  
+  if (replayHandlers.onStart) replayHandlers.onStart(session);
+  seekReplay(getStartTime());
+}
+
+// Leave replay
+function exitReplay() {
+  if (!replaySession) return;
+  
+  pauseReplay();
+  replaySession = null;
+  if (window.WaveformDisplay) window.WaveformDisplay.endReplay();
+  if (replayHandlers.onExit) replayHandlers.onExit();
+  renderReplayControls();
+}
+
+// Play from the current position, starting over when at the end
+function playReplay() {
+  if (!replaySession || replayTimer) return;
+  if (replayPosition >= getEndTime()) replayPosition = getStartTime();
+  
+  replayTimer = setInterval(function() {
+    const position = replayPosition + REPLAY_TICK * replaySpeed;
+    seekReplay(position);
+    if (position >= getEndTime()) pauseReplay();
+  }, REPLAY_TICK);
+  renderReplayControls();
+}
+
+function pauseReplay() {
+  if (replayTimer) {
+    clearInterval(replayTimer);
+    replayTimer = null;
+  }
+  renderReplayControls();
+}
+
+// Show the session at a simulation time
+function seekReplay(time) {
+  if (!replaySession) return;
+  
+  replayPosition = Math.min(Math.max(time, getStartTime()), getEndTime());
+  
+  if (window.WaveformDisplay) {
+    const samples = replaySession.samples;
+    const first = findSampleIndex(samples, replayPosition - REPLAY_WINDOW);
+    const last = findSampleIndex(samples, replayPosition);
+    window.WaveformDisplay.showReplay(samples.slice(first, last), replayPosition);
+  }
+  renderReplayControls();
+}
+
+function setReplaySpeed(speed) {
+  replaySpeed = speed;
+  renderReplayControls();
+}
+
+// Index of the first sample after a time (samples are in time order)
+function findSampleIndex(samples, time) {
+  let low = 0;
+  let high = samples.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (samples[middle].time <= time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function getStartTime() {
+  return replaySession.samples[0].time;
+}
+
+function getEndTime() {
+  return replaySession.samples[replaySession.samples.length - 1].time;
+}
+
+// Wire up the replay buttons, seek bar and speed selector
+function setupReplayControls() {
+  const playButton = document.getElementById('replay-play-button');
+  if (playButton) {
+    playButton.addEventListener('click', function() {
+      if (replayTimer) {
+        pauseReplay();
+      } else {
+        playReplay();
+      }
+    });
+  }
+  
+  const seekBar = document.getElementById('replay-seek');
+  if (seekBar) {
+    seekBar.addEventListener('input', function(e) {
+      seekReplay(parseFloat(e.target.value));
+    });
+  }
+  
+  const speedSelector = document.getElementById('replay-speed');
+  if (speedSelector) {
+    speedSelector.innerHTML = '';
+    REPLAY_SPEEDS.forEach(speed => {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = speed + 'x';
+      speedSelector.appendChild(option);
+    });
+    speedSelector.addEventListener('change', function(e) {
+      setReplaySpeed(parseFloat(e.target.value));
+    });
+  }
+  
+  const exitButton = document.getElementById('replay-exit-button');
+  if (exitButton) {
+    exitButton.addEventListener('click', exitReplay);
+  }
+}
+
+// Show the replay position, the settings in force and what has happened so far
+function renderReplayControls() {
+  const panel = document.getElementById('replay-panel');
+  if (panel) panel.style.display = replaySession ? '' : 'none';
+  if (!replaySession) return;
+  
+  const playButton = document.getElementById('replay-play-button');
+  if (playButton) playButton.textContent = replayTimer ? 'Pause' : 'Play';
+  
+  const seekBar = document.getElementById('replay-seek');
+  if (seekBar) {
+    seekBar.min = getStartTime();
+    seekBar.max = getEndTime();
+    seekBar.value = replayPosition;
+  }
+  
+  const speedSelector = document.getElementById('replay-speed');
+  if (speedSelector) speedSelector.value = replaySpeed;
+  
+  const timeDisplay = document.getElementById('replay-time');
+  if (timeDisplay) {
+    timeDisplay.textContent = formatReplayTime(replayPosition) + ' / ' + formatReplayTime(getEndTime());
+  }
+  
+  const settingsDisplay = document.getElementById('replay-settings');
+  if (settingsDisplay && window.SessionRecorder) {
+    const settings = window.SessionRecorder.getSettingsAt(replaySession, replayPosition);
+    const vent = settings.ventilatorSettings;
+    settingsDisplay.textContent = `${vent.mode} PEEP ${vent.peep} PIP ${vent.pip} VT ${vent.tidalVolume} ` +
+      `Rate ${vent.rate} FiO2 ${vent.fio2} | ${settings.patientParameters.lungModel} ` +
+      `C ${settings.patientParameters.compliance} R ${settings.patientParameters.resistance}`;
+  }
+  
+  const log = document.getElementById('replay-log');
+  if (log) {
+    log.innerHTML = '';
+    replaySession.events.filter(entry => entry.time <= replayPosition).forEach(entry => {
+      const item = document.createElement('li');
+      item.textContent = formatReplayTime(entry.time) + ' ' + entry.source + ': ' + entry.message;
+      log.appendChild(item);
+    });
+  }
+}
+
+// Format a simulation time as m:ss
+function formatReplayTime(time) {
+  const seconds = Math.floor(time / 1000);
+  return Math.floor(seconds / 60) + ':' + String(seconds % 60).padStart(2, '0');
+}
+
+// Export functions
+window.SessionReplay = {
+  initialize: initializeSessionReplay,
+  load: loadReplay,
+  exit: exitReplay,
+  play: playReplay,
+  pause: pauseReplay,
+  seek: seekReplay,
+  setSpeed: setReplaySpeed,
+  isReplaying: function() {
+    return replaySession !== null;
+  }
+};
\ No newline at end of file
@@ -0,0 +1,261 @@
+// settings-store.js - Complete replacement file
+
+// The one place ventilator settings and patient parameters live. The schema gives
+// each value's type, unit, control range and default. Every change goes through
+// `update`, and subscribers are told exactly what changed as a diff:
+// { ventilator: { peep: { from: 5, to: 8 } }, patient: { ... } }
+//
+// Control ranges are the limits of the sliders; values outside them (e.g. from a
+// scenario) are accepted, but every value must have the right type. `ranges`
+// gives other slider limits for smaller patients, by age group.
+
+const SETTINGS_SCHEMA = {
+  ventilator: {
+    mode: { type: 'enum', label: 'Mode', default: 'PCV', options: [
+      { value: 'PCV', label: 'Pressure Control (PCV)' },
+      { value: 'VCV', label: 'Volume Control (VCV)' },
+      { value: 'PSV', label: 'Pressure Support (PSV)' },
+      { value: 'SIMV', label: 'SIMV' }
+    ] },
+    peep: { type: 'number', label: 'PEEP', unit: 'cmH2O', min: 0, max: 20, step: 1, default: 5 },
+    pip: { type: 'number', label: 'PIP', unit: 'cmH2O', min: 5, max: 40, step: 1, default: 20 },
+    rate: { type: 'number', label: 'Rate', unit: 'b/min', min: 8, max: 30, step: 1, default: 15, ranges: {
+      neonatal: { min: 20, max: 80, step: 1 },
+      pediatric: { min: 10, max: 50, step: 1 }
+    } },
+    ieRatio: { type: 'number', label: 'I:E Ratio', unit: '', min: 0.25, max: 1, step: 0.05, default: 0.5 }, // 0.5 is 1:2
+    tidalVolume: { type: 'number', label: 'Tidal Volume', unit: 'mL', min: 200, max: 800, step: 10, default: 500, ranges: {
+      neonatal: { min: 5, max: 100, step: 1 },
+      pediatric: { min: 40, max: 500, step: 5 }
+    } },
+    fio2: { type: 'number', label: 'FiO2', unit: '%', min: 21, max: 100, step: 1, default: 40 },
+    triggerType: { type: 'enum', label: 'Trigger', default: 'pressure', options: [
+      { value: 'pressure', label: 'Pressure' },
+      { value: 'flow', label: 'Flow' }
+    ] },
+    triggerSensitivity: { type: 'number', label: 'Pressure Trigger', unit: 'cmH2O', min: 0.5, max: 5, step: 0.1, default: 2 },
+    flowTrigger: { type: 'number', label: 'Flow Trigger', unit: 'L/min', min: 0.5, max: 10, step: 0.5, default: 2 },
+    flowPattern: { type: 'enum', label: 'Flow Pattern', default: 'square', options: [
+      { value: 'square', label: 'Square' },
+      { value: 'decelerating', label: 'Decelerating' }
+    ] },
+    pressureSupport: { type: 'number', label: 'Pressure Support', unit: 'cmH2O', min: 0, max: 30, step: 1, default: 10 },
+    cycleOff: { type: 'number', label: 'Cycle Off', unit: '%', min: 5, max: 80, step: 5, default: 25 }, // % of peak inspiratory flow
+    riseTime: { type: 'number', label: 'Rise Time', unit: 'ms', min: 0, max: 400, step: 25, default: 200 }
+  },
+  patient: {
+    lungModel: { type: 'enum', label: 'Lung Model', default: 'normal', options: [
+      { value: 'normal', label: 'Normal' },
+      { value: 'ards', label: 'ARDS' },
+      { value: 'copd', label: 'COPD' },
+      { value: 'asthma', label: 'Asthma' }
+    ] },
+    compliance: { type: 'number', label: 'Compliance', unit: 'mL/cmH2O', min: 10, max: 100, step: 1, default: 50, ranges: {
+      neonatal: { min: 0.5, max: 10, step: 0.1 },
+      pediatric: { min: 2, max: 60, step: 0.5 }
+    } },
+    resistance: { type: 'number', label: 'Resistance', unit: 'cmH2O·s/L', min: 1, max: 25, step: 0.5, default: 10, ranges: {
+      neonatal: { min: 10, max: 200, step: 5 },
+      pediatric: { min: 5, max: 80, step: 1 }
+    } },
+    spontaneousRate: { type: 'number', label: 'Spontaneous Rate', unit: 'b/min', min: 0, max: 40, step: 1, default: 0 }, // 0 = apneic
+    effort: { type: 'number', label: 'Effort', unit: 'cmH2O', min: 0, max: 15, step: 0.5, default: 0 }, // Peak inspiratory muscle pressure
+    age: { type: 'number', label: 'Age', unit: 'years', min: 0, max: 100, step: 0.5, default: 45 },
+    sex: { type: 'enum', label: 'Sex', default: 'male', options: [
+      { value: 'male', label: 'Male' },
+      { value: 'female', label: 'Female' }
+    ] },
+    height: { type: 'number', label: 'Height', unit: 'cm', min: 140, max: 210, step: 1, default: 175, ranges: {
+      neonatal: { min: 30, max: 80, step: 1 },
+      pediatric: { min: 50, max: 190, step: 1 }
+    } },
+    weight: { type: 'number', label: 'Weight', unit: 'kg', min: 35, max: 200, step: 1, default: 70, ranges: {
+      neonatal: { min: 0.5, max: 12, step: 0.1 },
+      pediatric: { min: 3, max: 100, step: 0.5 }
+    } }
+  }
+};
+
+// Current values, one object per schema section
+let storeState = createDefaultState();
+let storeListeners = [];
+
+// Open transaction: its depth, the combined diff so far and the state to go back to
+let transactionDepth = 0;
+let transactionDiff = null;
+let transactionSnapshot = null;
+
+// Helper function to fill every section with its defaults
+function createDefaultState() {
+  const state = {};
+  Object.keys(SETTINGS_SCHEMA).forEach(section => {
+    state[section] = getDefaultValues(section);
+  });
+  return state;
+}
+
+function getDefaultValues(section) {
+  const values = {};
+  Object.keys(SETTINGS_SCHEMA[section]).forEach(key => {
+    values[key] = SETTINGS_SCHEMA[section][key].default;
+  });
+  return values;
+}
+
+// Get a copy of one section's current values
+function getStoreValues(section) {
+  return {...storeState[section]};
+}
+
+function getStoreSchema(section) {
+  return SETTINGS_SCHEMA[section];
+}
+
+// Helper function to check a value against its schema, throwing an error if it does not fit
+function checkStoreValue(section, key, value) {
+  const entry = SETTINGS_SCHEMA[section][key];
+  if (!entry) {
+    throw new Error(`Unknown setting: ${section}.${key}`);
+  }
+  if (entry.type === 'number' && (typeof value !== 'number' || !isFinite(value))) {
+    throw new Error(`${section}.${key} must be a number, not ${JSON.stringify(value)}`);
+  }
+  if (entry.type === 'enum' && !entry.options.some(option => option.value === value)) {
+    throw new Error(`${section}.${key} must be one of ${entry.options.map(option => option.value).join(', ')}`);
+  }
+}
+
+// Apply changes to one or more sections, e.g. { patient: { compliance: 30 } }.
+// Every value is checked before any is applied, so one bad value changes nothing.
+// Returns the diff of the values that actually changed.
+function updateStore(changes) {
+  Object.keys(changes).forEach(section => {
+    if (!SETTINGS_SCHEMA[section]) {
+      throw new Error(`Unknown settings section: ${section}`);
+    }
+    Object.keys(changes[section] || {}).forEach(key => {
+      checkStoreValue(section, key, changes[section][key]);
+    });
+  });
+  
+  const diff = {};
+  Object.keys(changes).forEach(section => {
+    Object.keys(changes[section] || {}).forEach(key => {
+      const from = storeState[section][key];
+      const to = changes[section][key];
+      if (from === to) return;
+      
+      storeState[section][key] = to;
+      diff[section] = diff[section] || {};
+      diff[section][key] = { from: from, to: to };
+    });
+  });
+  
+  if (transactionDepth > 0) {
+    mergeDiff(transactionDiff, diff);
+  } else {
+    notifyStoreListeners(diff);
+  }
+  return diff;
+}
+
+// Make several updates as one: subscribers hear once, with the combined diff,
+// and if `apply` throws every value goes back to where it was
+function runTransaction(apply) {
+  if (transactionDepth === 0) {
+    transactionDiff = {};
+    transactionSnapshot = copyState(storeState);
+  }
+  
+  transactionDepth++;
+  try {
+    apply();
+  } catch (error) {
+    transactionDepth--;
+    if (transactionDepth === 0) {
+      storeState = transactionSnapshot;
+      transactionDiff = null;
+    }
+    throw error;
+  }
+  transactionDepth--;
+  
+  if (transactionDepth > 0) return null;
+  
+  const diff = transactionDiff;
+  transactionDiff = null;
+  notifyStoreListeners(diff);
+  return diff;
+}
+
+// Helper function to fold one diff into another, dropping values changed back
+function mergeDiff(target, diff) {
+  Object.keys(diff).forEach(section => {
+    target[section] = target[section] || {};
+    Object.keys(diff[section]).forEach(key => {
+      const from = target[section][key] ? target[section][key].from : diff[section][key].from;
+      const to = diff[section][key].to;
+      if (from === to) {
+        delete target[section][key];
+      } else {
+        target[section][key] = { from: from, to: to };
+      }
+    });
+    if (Object.keys(target[section]).length === 0) delete target[section];
+  });
+}
+
+function copyState(state) {
+  const copy = {};
+  Object.keys(state).forEach(section => {
+    copy[section] = {...state[section]};
+  });
+  return copy;
+}
+
+// Call `listener(diff)` after every change; returns a function that unsubscribes
+function subscribeToStore(listener) {
+  storeListeners.push(listener);
+  return function() {
+    storeListeners = storeListeners.filter(other => other !== listener);
+  };
+}
+
+function notifyStoreListeners(diff) {
+  if (Object.keys(diff).length === 0) return;
+  
+  storeListeners.forEach(listener => {
+    try {
+      listener(diff);
+    } catch (error) {
+      console.error('Settings listener failed:', error);
+    }
+  });
+}
+
+// The new values in one section of a diff, e.g. to pass on as an update
+function getChangedValues(diff, section) {
+  const values = {};
+  Object.keys(diff[section] || {}).forEach(key => {
+    values[key] = diff[section][key].to;
+  });
+  return values;
+}
+
+// Export functions
+const SettingsStore = {
+  get: getStoreValues,
+  getSchema: getStoreSchema,
+  getDefaults: getDefaultValues,
+  update: updateStore,
+  transaction: runTransaction,
+  subscribe: subscribeToStore,
+  getChangedValues: getChangedValues
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsStore;
+}
+if (typeof window !== 'undefined') {
+  window.SettingsStore = SettingsStore;
+}
\ No newline at end of file
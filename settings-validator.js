@@ -0,0 +1,115 @@
+// settings-validator.js - Complete replacement file
+
+// Checks a combination of ventilator settings before it is applied. Errors are
+// interlocks: the settings cannot be confirmed until they are fixed. Warnings
+// are shown but do not stop the settings being applied.
+
+// Ideal body weight and age group come from the patient's demographics
+const patientDemographics = typeof module !== 'undefined' && module.exports ? require('./patient-demographics.js') :
+  window.PatientDemographics;
+
+const MIN_DRIVING_PRESSURE = 5;       // PIP must be at least this far above PEEP (cmH2O)
+const MAX_SUPPORTED_PRESSURE = 40;    // Highest PEEP + pressure support (cmH2O)
+
+// Breath timing limits by age group (s). Shorter inspirations cannot deliver the
+// breath; shorter expirations risk gas trapping. Small lungs fill and empty faster.
+const BREATH_TIME_LIMITS = {
+  neonatal: { minInspiratory: 0.25, shortInspiratory: 0.3, minExpiratory: 0.3, shortExpiratory: 0.5 },
+  pediatric: { minInspiratory: 0.3, shortInspiratory: 0.5, minExpiratory: 0.4, shortExpiratory: 0.75 },
+  adult: { minInspiratory: 0.4, shortInspiratory: 0.6, minExpiratory: 0.5, shortExpiratory: 1.0 }
+};
+
+// Tidal volume per kg of ideal body weight (mL/kg)
+const LUNG_PROTECTIVE_VT = [4, 8];
+const MAX_VT_PER_KG = 10;
+
+// Used when no patient is given (kg)
+const DEFAULT_IDEAL_BODY_WEIGHT = 70;
+
+// Check ventilator settings against each other and the patient.
+// Returns { valid, issues: [{ key, severity: 'error' | 'warning', message }] };
+// `key` is the setting the issue is shown against.
+function validateSettings(settings, patientParameters) {
+  const issues = [];
+  const mode = settings.mode;
+  
+  // Pressure control needs a driving pressure above PEEP
+  if (mode === 'PCV' && settings.pip < settings.peep + MIN_DRIVING_PRESSURE) {
+    issues.push({
+      key: 'pip',
+      severity: 'error',
+      message: `PIP must be at least ${MIN_DRIVING_PRESSURE} cmH2O above PEEP (${settings.peep + MIN_DRIVING_PRESSURE} or more)`
+    });
+  }
+  
+  // Supported breaths are delivered at PEEP + pressure support
+  if ((mode === 'PSV' || mode === 'SIMV') && settings.peep + settings.pressureSupport > MAX_SUPPORTED_PRESSURE) {
+    issues.push({
+      key: 'pressureSupport',
+      severity: 'error',
+      message: `PEEP + pressure support must not exceed ${MAX_SUPPORTED_PRESSURE} cmH2O`
+    });
+  }
+  
+  // Mandatory breath timing from rate and I:E (PSV has no mandatory breaths)
+  if (mode !== 'PSV') {
+    const timing = getBreathTiming(settings);
+    const limits = BREATH_TIME_LIMITS[patientParameters ? patientDemographics.getAgeGroup(patientParameters) : 'adult'];
+    
+    if (timing.inspiratoryTime < limits.minInspiratory) {
+      issues.push({ key: 'ieRatio', severity: 'error', message: `Inspiratory time ${timing.inspiratoryTime.toFixed(2)} s is below ${limits.minInspiratory} s` });
+    } else if (timing.inspiratoryTime < limits.shortInspiratory) {
+      issues.push({ key: 'ieRatio', severity: 'warning', message: `Inspiratory time ${timing.inspiratoryTime.toFixed(2)} s is short` });
+    }
+    
+    if (timing.expiratoryTime < limits.minExpiratory) {
+      issues.push({ key: 'rate', severity: 'error', message: `Expiratory time ${timing.expiratoryTime.toFixed(2)} s is below ${limits.minExpiratory} s` });
+    } else if (timing.expiratoryTime < limits.shortExpiratory) {
+      issues.push({ key: 'rate', severity: 'warning', message: `Expiratory time ${timing.expiratoryTime.toFixed(2)} s risks gas trapping` });
+    }
+  }
+  
+  // Volume-controlled breaths against the patient's size
+  if (mode === 'VCV' || mode === 'SIMV') {
+    const perKg = settings.tidalVolume / getIdealBodyWeight(patientParameters);
+    
+    if (perKg > MAX_VT_PER_KG) {
+      issues.push({ key: 'tidalVolume', severity: 'error', message: `Tidal volume ${perKg.toFixed(1)} mL/kg IBW is above ${MAX_VT_PER_KG} mL/kg` });
+    } else if (perKg > LUNG_PROTECTIVE_VT[1] || perKg < LUNG_PROTECTIVE_VT[0]) {
+      issues.push({
+        key: 'tidalVolume',
+        severity: 'warning',
+        message: `Tidal volume ${perKg.toFixed(1)} mL/kg IBW is outside ${LUNG_PROTECTIVE_VT[0]}-${LUNG_PROTECTIVE_VT[1]} mL/kg`
+      });
+    }
+  }
+  
+  return {
+    valid: !issues.some(issue => issue.severity === 'error'),
+    issues: issues
+  };
+}
+
+// Inspiratory and expiratory time of a mandatory breath (s), as the simulation times them
+function getBreathTiming(settings) {
+  const breathTime = 60 / settings.rate;
+  const inspiratoryTime = breathTime * settings.ieRatio / (settings.ieRatio + 1);
+  return { inspiratoryTime: inspiratoryTime, expiratoryTime: breathTime - inspiratoryTime };
+}
+
+function getIdealBodyWeight(patientParameters) {
+  return patientParameters ? patientDemographics.getIdealBodyWeight(patientParameters) : DEFAULT_IDEAL_BODY_WEIGHT;
+}
+
+// Export functions
+const SettingsValidator = {
+  validate: validateSettings,
+  getBreathTiming: getBreathTiming
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsValidator;
+}
+if (typeof window !== 'undefined') {
+  window.SettingsValidator = SettingsValidator;
+}
\ No newline at end of file
@@ -0,0 +1,195 @@
+// simulation-client.js - Complete replacement file
+
+// The page's side of the simulation. It has the same controls as SimulationCore,
+// so the app and the scenario engine use it in the same way, but the physics
+// runs in simulation-worker.js and samples arrive in batches. Where a worker
+// cannot be started (e.g. a page opened from file:// in some browsers), the
+// core runs on the main thread as before.
+const SIMULATION_WORKER_URL = 'simulation-worker.js';
+const LOCAL_STEP_INTERVAL = 16; // Main-thread fallback step interval (ms)
+
+let worker = null;
+let localTimer = null;
+let running = false;
+let samplesHandler = null;     // Called with each batch of samples
+
+// Settings are read from the settings store; these are kept to restart a core
+let mirroredOptions = undefined;
+let mirroredCircuitConnected = true;
+
+// Start the simulation (stopped) with the given settings
+function initializeSimulationClient(ventilatorSettings, patientParameters, onSamples, options) {
+  stopSimulationClient();
+  samplesHandler = onSamples;
+  mirroredOptions = options;
+  mirroredCircuitConnected = true;
+  
+  if (!worker && typeof Worker !== 'undefined') {
+    try {
+      worker = new Worker(SIMULATION_WORKER_URL);
+      worker.onmessage = handleWorkerMessage;
+      worker.onerror = handleWorkerError;
+    } catch (error) {
+      console.warn('Simulation worker unavailable, running on the main thread:', error.message);
+      worker = null;
+    }
+  }
+  
+  if (worker) {
+    worker.postMessage({
+      type: 'initialize',
+      ventilatorSettings: ventilatorSettings,
+      patientParameters: patientParameters,
+      options: options
+    });
+  } else {
+    initializeLocalCore(ventilatorSettings, patientParameters);
+  }
+}
+
+// Handle a message from the worker
+function handleWorkerMessage(e) {
+  const message = e.data;
+  
+  if (message.type === 'samples') {
+    if (samplesHandler) samplesHandler(message.samples);
+  } else if (message.type === 'error') {
+    console.error('Simulation worker error:', message.message);
+  }
+}
+
+// The worker failed to load or crashed; carry on with the core on the main thread
+function handleWorkerError(e) {
+  console.error('Simulation worker failed, running on the main thread:', e.message);
+  e.preventDefault();
+  
+  worker.terminate();
+  worker = null;
+  initializeLocalCore(getVentilatorSettings(), getPatientParameters());
+  if (running) startLocalLoop();
+}
+
+// Helper function to set up the main-thread core, which shares the page's settings store
+function initializeLocalCore(ventilatorSettings, patientParameters) {
+  if (!window.SimulationCore) {
+    console.error('Simulation Core not loaded!');
+    return;
+  }
+  
+  window.SimulationCore.initialize(ventilatorSettings, patientParameters, mirroredOptions);
+  window.SimulationCore.setCircuitConnected(mirroredCircuitConnected);
+}
+
+// Run the simulation
+function startSimulationClient() {
+  if (running) return;
+  running = true;
+  
+  if (worker) {
+    worker.postMessage({ type: 'start' });
+  } else {
+    startLocalLoop();
+  }
+}
+
+// Pause the simulation
+function stopSimulationClient() {
+  if (!running) return;
+  running = false;
+  
+  if (worker) {
+    worker.postMessage({ type: 'stop' });
+  } else {
+    clearInterval(localTimer);
+    localTimer = null;
+  }
+}
+
+// Helper function to step the main-thread core with the wall clock
+function startLocalLoop() {
+  if (!window.SimulationCore || localTimer) return;
+  
+  localTimer = setInterval(function() {
+    const results = window.SimulationCore.step();
+    if (samplesHandler) samplesHandler([results]);
+  }, LOCAL_STEP_INTERVAL);
+}
+
+// Send a command to whichever core is running
+function sendToSimulation(message, applyLocally) {
+  if (worker) {
+    worker.postMessage(message);
+  } else if (window.SimulationCore) {
+    applyLocally(window.SimulationCore);
+  }
+}
+
+// Pass changed ventilator settings on to the core
+function updateVentilatorSettings(newSettings) {
+  sendToSimulation({ type: 'update-ventilator', settings: {...newSettings} },
+    core => core.updateVentilatorSettings(newSettings));
+  return getVentilatorSettings();
+}
+
+// Pass changed patient parameters on to the core
+function updatePatientParameters(newParameters) {
+  sendToSimulation({ type: 'update-patient', parameters: {...newParameters} },
+    core => core.updatePatientParameters(newParameters));
+  return getPatientParameters();
+}
+
+function getVentilatorSettings() {
+  return window.SettingsStore.get('ventilator');
+}
+
+function getPatientParameters() {
+  return window.SettingsStore.get('patient');
+}
+
+// Connect or disconnect the circuit, returning the new state
+function setCircuitConnected(connected) {
+  mirroredCircuitConnected = connected;
+  sendToSimulation({ type: 'set-circuit', connected: connected },
+    core => core.setCircuitConnected(connected));
+  return mirroredCircuitConnected;
+}
+
+function setUnitsOccluded(unitIds, occluded) {
+  sendToSimulation({ type: 'set-occluded', units: unitIds, occluded: occluded },
+    core => core.setUnitsOccluded(unitIds, occluded));
+}
+
+function setPleuralPressure(unitIds, pleuralPressure) {
+  sendToSimulation({ type: 'set-pleural-pressure', units: unitIds, pressure: pleuralPressure },
+    core => core.setPleuralPressure(unitIds, pleuralPressure));
+}
+
+function startInspiratoryHold() {
+  sendToSimulation({ type: 'inspiratory-hold' }, core => core.startInspiratoryHold());
+}
+
+function startExpiratoryHold() {
+  sendToSimulation({ type: 'expiratory-hold' }, core => core.startExpiratoryHold());
+}
+
+// Export functions
+window.SimulationClient = {
+  initialize: initializeSimulationClient,
+  start: startSimulationClient,
+  stop: stopSimulationClient,
+  isRunning: function() {
+    return running;
+  },
+  usesWorker: function() {
+    return worker !== null;
+  },
+  updateVentilatorSettings: updateVentilatorSettings,
+  updatePatientParameters: updatePatientParameters,
+  getVentilatorSettings: getVentilatorSettings,
+  getPatientParameters: getPatientParameters,
+  setCircuitConnected: setCircuitConnected,
+  setUnitsOccluded: setUnitsOccluded,
+  setPleuralPressure: setPleuralPressure,
+  startInspiratoryHold: startInspiratoryHold,
+  startExpiratoryHold: startExpiratoryHold
+};
\ No newline at end of file
@@ -1,22 +1,14 @@
 // simulation-core.js - Complete replacement file
 
-// Simulation parameters
-let ventilatorSettings = {
-  mode: 'PCV',          // Pressure Control Ventilation
-  peep: 5,              // Positive End-Expiratory Pressure (cmH2O)
-  pip: 20,              // Peak Inspiratory Pressure (cmH2O)
-  rate: 15,             // Respiratory Rate (breaths/min)
-  ieRatio: 0.5,         // I:E Ratio (1:2)
-  tidalVolume: 500,     // Tidal Volume (mL)
-  fio2: 40,             // Fraction of Inspired Oxygen (%)
-  triggerSensitivity: 2 // Trigger Sensitivity (cmH2O)
-};
+// Simulation parameters come from the settings store: a Node module, a page
+// global, or in the worker a global loaded by importScripts before this file
+const settingsStore = typeof module !== 'undefined' && module.exports ? require('./settings-store.js') :
+  (typeof window !== 'undefined' ? window.SettingsStore : SettingsStore);
 
-let patientParameters = {
-  compliance: 50,       // Lung Compliance (mL/cmH2O)
-  resistance: 10,       // Airway Resistance (cmH2O·s/L)
-  lungModel: 'normal'   // Patient condition: normal, ards, copd, asthma
-};
+// Current values from the store, kept here because every step reads them
+let ventilatorSettings = settingsStore.get('ventilator');
+let patientParameters = settingsStore.get('patient');
+let unsubscribeSettings = null;
 
 // Simulation state
 let breathPhase = 'expiration'; // 'inspiration' or 'expiration'
@@ -25,27 +17,172 @@ let totalBreathTime = 0;       // Total time for one complete breath cycle (ms)
 let inspirationTime = 0;       // Time for inspiration phase (ms)
 let expirationTime = 0;        // Time for expiration phase (ms)
 let pressure = 0;              // Current airway pressure (cmH2O)
-let volume = 0;                // Current lung volume (mL)
+let volume = 0;                // Current gas volume of all lung units above their relaxed volume (mL)
 let flow = 0;                  // Current airflow (L/min)
-let prevTime = 0;              // Previous timestamp for delta calculation
+let prevTime = 0;              // Previous wall-clock timestamp in real-time mode
+let simulationTime = 0;        // Simulated time since initialization (ms)
+let pendingTime = 0;           // Requested time not yet simulated, less than one timestep (ms)
+let simulationSeed = 1;        // Seed for generating the lung units
+let randomState = 0;           // State of the seeded random number generator
+let loggingEnabled = true;     // Whether progress messages go to the console
 let lungUnits = [];            // Array for multi-compartment lung model
+let deliveredVolume = 0;       // Volume delivered so far in the current VCV breath (mL)
+let breathType = 'mandatory';  // How the current breath started: 'mandatory', 'assisted' or 'spontaneous'
+let breathControl = 'pressure'; // How the current breath is delivered: 'pressure', 'volume' or 'support'
+let mandatoryTimer = 0;        // Time since the last mandatory breath started (ms)
+let peakInspiratoryFlow = 0;   // Highest flow in the current inspiration (L/min)
+let cyclePressure = 0;         // Airway pressure when the last inspiration cycled off (cmH2O)
+let breathInspiredVolume = 0;  // Volume inspired so far in the current breath (mL)
+let lastInspiredVolume = 0;    // Volume inspired in the previous breath (mL)
+
+// Gas exchange state
+let gasExchangeTime = 0;       // Time since the lung units were created (ms)
+let gasExchangePhase = 'waiting'; // 'waiting' for the first breath, watching the 'first-breath', or 'running'
+let arterialO2Content = 19.8;  // Arterial oxygen content (mL O2/dL)
+let venousCO2 = 46;            // Mixed venous PCO2 (mmHg)
+let spo2 = 97;                 // Pulse oximeter saturation (%)
+let pao2 = 95;                 // Arterial PO2 (mmHg)
+let paco2 = 40;                // Arterial PCO2 (mmHg)
+let etco2 = 38;                // End-tidal CO2 (mmHg)
+let shuntFraction = 0;         // Fraction of cardiac output through closed units
+
+// Capnography state
+let co2 = 0;                   // CO2 at the airway sensor (mmHg)
+let expiredVolume = 0;         // Volume exhaled past the sensor in the current exhalation (mL)
+let breathPeakCO2 = 0;         // Highest airway CO2 in the current breath (mmHg)
+let circuitConnected = true;   // Whether the patient is attached to the ventilator circuit
+let patientTimer = 0;          // Time since the patient's own breath effort started (ms)
+let musclePressure = 0;        // Current inspiratory muscle pressure (cmH2O)
+
+// Hold maneuver state
+let holdRequested = null;      // Hold waiting for the end of the current phase: 'inspiratory' or 'expiratory'
+let holdType = null;           // Hold in progress: 'inspiratory' or 'expiratory'
+let holdTimer = 0;             // Time since the hold started (ms)
+let holdPeakPressure = 0;      // Airway pressure when the inspiratory hold started (cmH2O)
+let holdFlow = 0;              // Inspiratory flow when the inspiratory hold started (L/min)
+let holdTidalVolume = 0;       // Volume inspired before the inspiratory hold (mL)
+let measuredTotalPeep = null;  // Total PEEP from the last expiratory hold (cmH2O)
+let holdMeasurements = null;   // Measurements of a hold that finished this step
+
+// Physical constants
+const SIMULATION_TIMESTEP = 5;     // Fixed integration step (ms)
+const MAX_REALTIME_STEP = 250;     // Longest wall-clock gap simulated in one real-time step (ms)
+const VENTILATOR_RESPONSE_TIME = 150; // Time constant of the ventilator's pressure controller (ms)
+const CIRCUIT_COMPLIANCE = 1.5;    // Compressible volume of the ventilator circuit (mL/cmH2O)
+const ABSORPTION_TIME = 60000;     // Time constant of gas absorption behind an occluded airway (ms)
+const SUPERIMPOSED_PRESSURE = 5;   // Superimposed pressure at the most dorsal unit (cmH2O)
+const AIRWAY_SUPPORT_PRESSURE = 10; // Unit distending pressure below which collapsible airways narrow on expiration (cmH2O)
+const OVERDISTENDED_COMPLIANCE = 0.25; // Compliance of an overdistended unit relative to its normal compliance
+const TRIGGER_LOCKOUT = 300;       // Time after cycling to expiration before a trigger is accepted (ms)
+const MAX_PATIENT_INSPIRATION = 1000; // Longest inspiratory effort the patient makes (ms)
+const EXHALATION_VALVE_TIME = 150; // Time constant of the exhalation valve releasing to PEEP (ms)
+const MAX_SUPPORT_INSPIRATION = 3000; // Backup time cycle for flow-cycled support breaths (ms)
+const SIMV_TRIGGER_WINDOW = 0.25;  // Fraction of the SIMV cycle in which efforts get a mandatory breath
+const INSPIRATORY_HOLD_TIME = 2000; // Duration of the end-inspiratory pause (ms)
+const EXPIRATORY_HOLD_TIME = 4000;  // Duration of the end-expiratory pause (ms)
+const MIN_RESISTANCE_FLOW = 5;     // Lowest end-inspiratory flow for a resistance measurement (L/min)
+
+// Gas exchange constants, for a patient of the reference weight
+const REFERENCE_WEIGHT = 70;       // kg
+const CARDIAC_OUTPUT = 5000;       // Pulmonary blood flow (mL/min)
+const OXYGEN_CONSUMPTION = 250;    // Whole-body O2 uptake (mL/min)
+const CO2_PRODUCTION = 200;        // Whole-body CO2 production (mL/min)
+const HEMOGLOBIN = 15;             // Hemoglobin concentration (g/dL)
+const ANATOMIC_DEAD_SPACE = 150;   // Conducting airway volume (mL)
+const INSPIRED_GAS_PRESSURE = 713; // Barometric minus water vapour pressure (mmHg)
+const RESPIRATORY_QUOTIENT = 0.8;
+const CO2_VENTILATION_FACTOR = 863; // Converts alveolar ventilation x PCO2 to CO2 output (mmHg, BTPS to STPD)
+const CO2_DISSOCIATION_SLOPE = 0.005; // Blood CO2 content change per mmHg (mL/mL/mmHg)
+const LOW_VQ_O2_FACTOR = 0.05;     // V/Q at which a unit's O2 reaches half way from venous to ideal alveolar
+const CO2_STORE_CAPACITANCE = 40;  // Body CO2 stores (mL CO2 per mmHg)
+const VENTILATION_AVERAGING_TIME = 20000; // Smoothing of each unit's ventilation (ms)
+const OXYGEN_EQUILIBRATION_TIME = 30000;  // Lung gas wash-in and blood transit for O2 (ms)
+const PULSE_OXIMETER_AVERAGING = 8000;    // Pulse oximeter averaging time (ms)
+const CAPNOMETER_RESPONSE_TIME = 60;      // Rise time of the mainstream CO2 sensor (ms)
+const PHASE_III_SLOPE = 0.15;             // Alveolar plateau rise per second per unit of time constant dispersion
+const FIRST_BREATH_WAIT = 30000;          // Longest wait for a first breath to start the blood gases from (ms)
+const STEADY_STATE_ITERATIONS = 50;       // Iterations to find the starting blood gases
 
 // Initialize the simulation
-function initializeSimulation(settings, parameters) {
-  // Update with provided settings or use defaults
-  if (settings) ventilatorSettings = {...ventilatorSettings, ...settings};
-  if (parameters) patientParameters = {...patientParameters, ...parameters};
+function initializeSimulation(settings, parameters, options) {
+  // Start from the defaults, so anything not given falls back to its default
+  // rather than keeping a previous run's value
+  settingsStore.transaction(function() {
+    settingsStore.update({
+      ventilator: settingsStore.getDefaults('ventilator'),
+      patient: settingsStore.getDefaults('patient')
+    });
+    settingsStore.update({ ventilator: settings || {}, patient: parameters || {} });
+  });
+  ventilatorSettings = settingsStore.get('ventilator');
+  patientParameters = settingsStore.get('patient');
+  if (!unsubscribeSettings) unsubscribeSettings = settingsStore.subscribe(handleSettingsChange);
+  
+  // The same seed always generates the same lung units
+  if (options && options.seed !== undefined) simulationSeed = options.seed;
+  if (options && options.logging !== undefined) loggingEnabled = options.logging;
+  
+  // Start from a resting patient, so re-initializing reproduces a run exactly
+  resetSimulationState();
   
   // Calculate breath timing
   calculateBreathTiming();
+  cyclePressure = ventilatorSettings.peep;
+  pressure = ventilatorSettings.peep;
   
   // Initialize lung units for multi-compartment model
   initializeLungUnits();
   
   // Set current time
   prevTime = Date.now();
+  simulationTime = 0;
+  pendingTime = 0;
   
-  console.log('Simulation Core Initialized');
+  logMessage('Simulation Core Initialized');
+}
+
+// Return every state variable to its starting value
+function resetSimulationState() {
+  breathPhase = 'expiration';
+  breathTimer = 0;
+  pressure = 0;
+  volume = 0;
+  previousVolume = 0;
+  flow = 0;
+  deliveredVolume = 0;
+  breathType = 'mandatory';
+  breathControl = 'pressure';
+  mandatoryTimer = 0;
+  peakInspiratoryFlow = 0;
+  breathInspiredVolume = 0;
+  lastInspiredVolume = 0;
+  
+  arterialO2Content = 19.8;
+  venousCO2 = 46;
+  spo2 = 97;
+  pao2 = 95;
+  paco2 = 40;
+  etco2 = 38;
+  shuntFraction = 0;
+  gasExchangePhase = 'waiting';
+  
+  co2 = 0;
+  expiredVolume = 0;
+  breathPeakCO2 = 0;
+  circuitConnected = true;
+  patientTimer = 0;
+  musclePressure = 0;
+  
+  holdRequested = null;
+  holdType = null;
+  holdTimer = 0;
+  measuredTotalPeep = null;
+  holdMeasurements = null;
+}
+
+// Log a progress message unless logging is turned off
+function logMessage(message) {
+  if (loggingEnabled) console.log(message);
 }
 
 // Calculate timing parameters for breath cycle
@@ -59,7 +196,7 @@ function calculateBreathTiming() {
   inspirationTime = totalBreathTime * ieFraction;
   expirationTime = totalBreathTime - inspirationTime;
   
-  console.log(`Breath timing: Total ${totalBreathTime}ms, Inspiration ${inspirationTime}ms, Expiration ${expirationTime}ms`);
+  logMessage(`Breath timing: Total ${totalBreathTime}ms, Inspiration ${inspirationTime}ms, Expiration ${expirationTime}ms`);
 }
 
 // Initialize lung units for multi-compartment model
@@ -67,97 +204,430 @@ function initializeLungUnits() {
   // Clear existing lung units
   lungUnits = [];
   
+  // Restart the random sequence so the units depend only on the seed and model
+  randomState = simulationSeed >>> 0;
+  
   // Number of units based on model complexity
   const numUnits = 10;
   
   // Configure based on patient condition
   let openingPressureRange, closingPressureRange, complianceRange;
+  let overdistensionPressureRange;  // Distending pressure above which units stiffen
+  let airwayResistanceRange = [1, 1]; // Relative airway resistance between units
+  let expiratoryResistance = 1;       // Expiratory resistance relative to inspiratory
+  let trapsGas = false;               // Whether closed airways hold the gas behind them
   
   switch (patientParameters.lungModel) {
     case 'ards':
       openingPressureRange = [10, 25];
       closingPressureRange = [5, 15];
       complianceRange = [10, 30];
+      overdistensionPressureRange = [18, 28]; // The small aerated "baby lung" is easily overstretched
       break;
     case 'copd':
       openingPressureRange = [2, 10];
       closingPressureRange = [1, 5];
       complianceRange = [80, 120];
+      overdistensionPressureRange = [30, 40];
+      airwayResistanceRange = [0.5, 2.5];
+      expiratoryResistance = 2;  // Dynamic airway compression limits expiratory flow
+      trapsGas = true;
       break;
     case 'asthma':
       openingPressureRange = [5, 15];
       closingPressureRange = [2, 8];
       complianceRange = [30, 60];
+      overdistensionPressureRange = [30, 40];
+      airwayResistanceRange = [0.5, 2];
+      expiratoryResistance = 1.5;
+      trapsGas = true;
       break;
     case 'normal':
     default:
       openingPressureRange = [2, 5];
       closingPressureRange = [1, 3];
       complianceRange = [40, 60];
+      overdistensionPressureRange = [35, 45];
       break;
   }
   
   // Create lung units
   for (let i = 0; i < numUnits; i++) {
     // Create unit with randomized properties based on ranges
+    const openingPressure = randomInRange(openingPressureRange[0], openingPressureRange[1]);
+    
+    // A unit must close below its opening pressure, otherwise it would open and
+    // collapse again on every step and pump gas out of the airway
+    const closingPressure = Math.min(
+      randomInRange(closingPressureRange[0], closingPressureRange[1]),
+      openingPressure - 1
+    );
+    
     const unit = {
       id: i,
       position: i / numUnits, // 0 = ventral, 1 = dorsal
-      openingPressure: randomInRange(openingPressureRange[0], openingPressureRange[1]),
-      closingPressure: randomInRange(closingPressureRange[0], closingPressureRange[1]),
+      openingPressure: openingPressure,
+      closingPressure: closingPressure,
       compliance: randomInRange(complianceRange[0], complianceRange[1]),
+      overdistensionPressure: randomInRange(overdistensionPressureRange[0], overdistensionPressureRange[1]),
+      airwayResistance: randomInRange(airwayResistanceRange[0], airwayResistanceRange[1]),
+      expiratoryResistance: expiratoryResistance,
+      trapsGas: trapsGas,
+      occluded: false,   // Airway blocked, e.g. by a mucus plug
+      pleuralPressure: 0, // Extra pressure around the unit, e.g. from a pneumothorax (cmH2O)
       isOpen: false,
       volume: 0,
+      volumeChange: 0,   // Volume change over the last step (mL)
+      ventilation: 0,    // Smoothed inspired ventilation (mL/min)
+      openFraction: 0,   // Smoothed fraction of time the unit is open
+      pco2: venousCO2,   // Alveolar PCO2 (mmHg)
       perfusion: randomInRange(0.5, 1.5) // Blood flow variation
     };
     
     lungUnits.push(unit);
   }
   
-  console.log(`Created ${numUnits} lung units for ${patientParameters.lungModel} model`);
+  // Start at rest at PEEP, so the first breath is not spent filling the lungs
+  fillUnitsToPeep();
+  
+  // New units have no ventilation history yet
+  gasExchangeTime = 0;
+  
+  logMessage(`Created ${numUnits} lung units for ${patientParameters.lungModel} model`);
 }
 
 // Helper function for random value in range
 function randomInRange(min, max) {
-  return min + Math.random() * (max - min);
+  return min + seededRandom() * (max - min);
 }
 
-// Update ventilator settings
+// Seeded pseudo-random number between 0 and 1 (mulberry32)
+function seededRandom() {
+  randomState = (randomState + 0x6D2B79F5) >>> 0;
+  let t = randomState;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Update ventilator settings (through the store, which tells handleSettingsChange)
 function updateVentilatorSettings(newSettings) {
-  ventilatorSettings = {...ventilatorSettings, ...newSettings};
-  calculateBreathTiming();
-  return ventilatorSettings;
+  settingsStore.update({ ventilator: newSettings });
+  return getVentilatorSettings();
 }
 
 // Update patient parameters
 function updatePatientParameters(newParameters) {
-  patientParameters = {...patientParameters, ...newParameters};
-  // Reinitialize lung units when patient parameters change
-  initializeLungUnits();
-  return patientParameters;
+  settingsStore.update({ patient: newParameters });
+  return getPatientParameters();
 }
 
-// Perform one step of the simulation
-function simulationStep() {
-  const currentTime = Date.now();
-  const deltaTime = currentTime - prevTime;
-  prevTime = currentTime;
+// Follow changes to the settings store, whoever made them
+function handleSettingsChange(diff) {
+  ventilatorSettings = settingsStore.get('ventilator');
+  patientParameters = settingsStore.get('patient');
+  
+  if (diff.ventilator) {
+    calculateBreathTiming();
+  }
+  
+  // Compliance and resistance scale the existing units, so the lungs keep their
+  // volumes and recruitment; only a different disease needs new units
+  if (diff.patient && diff.patient.lungModel) {
+    initializeLungUnits();
+  }
+  
+  // Settings applied before the first step (e.g. a scenario's initial settings)
+  // are part of the starting state, so the patient rests at the new PEEP
+  if (simulationTime === 0) {
+    pressure = ventilatorSettings.peep;
+    cyclePressure = pressure;
+    fillUnitsToPeep();
+  }
+}
+
+// Get a copy of the current ventilator settings
+function getVentilatorSettings() {
+  return {...ventilatorSettings};
+}
+
+// Get a copy of the current patient parameters
+function getPatientParameters() {
+  return {...patientParameters};
+}
+
+// Perform one step of the simulation. Given dtMs, the simulation advances by
+// exactly that much simulated time; without it, it follows the wall clock.
+// Either way the model is integrated in fixed timesteps, so a run with the
+// same seed and inputs always produces the same waveforms.
+function simulationStep(dtMs) {
+  let elapsedTime = dtMs;
+  if (elapsedTime === undefined) {
+    const currentTime = Date.now();
+    // A stalled tab must not turn into one huge integration step
+    elapsedTime = Math.min(currentTime - prevTime, MAX_REALTIME_STEP);
+    prevTime = currentTime;
+  }
+  
+  holdMeasurements = null;
+  pendingTime += Math.max(elapsedTime, 0);
+  while (pendingTime >= SIMULATION_TIMESTEP) {
+    pendingTime -= SIMULATION_TIMESTEP;
+    advanceSimulation(SIMULATION_TIMESTEP);
+  }
+  
+  // Return current simulation state
+  return {
+    time: simulationTime,
+    breathPhase: breathPhase,
+    breathType: breathType,
+    pressure: pressure,
+    musclePressure: musclePressure,
+    volume: volume - calculateRelaxedVolume(),
+    flow: flow,
+    co2: co2,
+    spo2: spo2,
+    pao2: pao2,
+    paco2: paco2,
+    etco2: etco2,
+    shuntFraction: shuntFraction,
+    hold: holdType,
+    holdMeasurements: holdMeasurements,
+    lungUnits: lungUnits.map(unit => ({ 
+      id: unit.id, 
+      position: unit.position,
+      isOpen: unit.isOpen, 
+      volume: unit.volume,
+      overdistended: isUnitOverdistended(unit)
+    }))
+  };
+}
+
+// Integrate the model over one fixed timestep
+function advanceSimulation(deltaTime) {
+  simulationTime += deltaTime;
+  
+  // Advance the patient's own breathing drive
+  updatePatientEffort(deltaTime);
   
   // Update breath timer and phase
+  updateBreathPhase(deltaTime);
+  
+  if (!circuitConnected) {
+    // Disconnected: the lungs empty to atmosphere whatever the ventilator does
+    pressure = pressure * Math.exp(-deltaTime / EXHALATION_VALVE_TIME);
+  } else if (holdType) {
+    // Both valves are closed, so the airway equilibrates with the lung units
+    pressure = solveAirwayPressure(0, deltaTime);
+  } else if (breathControl === 'volume' && breathPhase === 'inspiration') {
+    // Volume control: the set flow pattern dictates the delivered volume and
+    // the airway pressure is whatever the lungs' mechanics demand
+    const targetDelivered = calculateDeliveredVolume(breathTimer);
+    pressure = solveAirwayPressure(targetDelivered - deliveredVolume, deltaTime);
+    deliveredVolume = targetDelivered;
+  } else {
+    // With pressure triggering there is no bias flow, so the inspiratory valve
+    // stays shut in expiration and a patient effort pulls the circuit below PEEP
+    let occludedPressure = Infinity;
+    if (breathPhase === 'expiration' && ventilatorSettings.triggerType === 'pressure') {
+      occludedPressure = solveAirwayPressure(0, deltaTime);
+    }
+    
+    // Pressure changes with some lag (not instantaneous)
+    const pressureResponse = 1 - Math.exp(-deltaTime / VENTILATOR_RESPONSE_TIME);
+    pressure = pressure + (calculateTargetPressure() - pressure) * pressureResponse;
+    
+    if (occludedPressure < ventilatorSettings.peep && occludedPressure < pressure) {
+      pressure = occludedPressure;
+    }
+  }
+  
+  // Update lung units (for multi-compartment model)
+  updateLungUnits(pressure, deltaTime);
+  
+  // Calculate total volume and flow across all lung units
+  volume = calculateTotalVolume();
+  
+  // Calculate flow based on volume change
+  // Convert mL/ms to L/min: (mL/ms) * (1000 ms/s) * (60 s/min) * (1 L/1000 mL)
+  const volumeChangeRate = (volume - previousVolume) / deltaTime;
+  flow = volumeChangeRate * 60; // mL/ms to L/min
+  breathInspiredVolume += Math.max(0, volume - previousVolume);
+  previousVolume = volume;
+  
+  if (breathPhase === 'inspiration') {
+    peakInspiratoryFlow = Math.max(peakInspiratoryFlow, flow);
+  }
+  
+  // Exchange O2 and CO2 across the lung units
+  updateGasExchange(deltaTime);
+  
+  // Sample the gas passing the airway CO2 sensor
+  updateCapnography(deltaTime);
+  
+  // A disconnected circuit sees no patient flow
+  if (!circuitConnected) {
+    flow = 0;
+  }
+  
+  // Start a patient-triggered breath if the effort crossed the trigger threshold
+  if (circuitConnected && breathPhase === 'expiration' && !holdType && breathTimer >= TRIGGER_LOCKOUT && isPatientTriggering()) {
+    startInspiration(getTriggeredBreathType());
+  }
+}
+
+// Advance the breath timers and switch phase when the current phase ends
+function updateBreathPhase(deltaTime) {
+  // The breath cycle is frozen while a hold is in progress
+  if (holdType) {
+    holdTimer += deltaTime;
+    const holdTime = holdType === 'inspiratory' ? INSPIRATORY_HOLD_TIME : EXPIRATORY_HOLD_TIME;
+    if (holdTimer >= holdTime) {
+      completeHold();
+    }
+    return;
+  }
+  
   breathTimer += deltaTime;
+  mandatoryTimer += deltaTime;
+  
+  if (breathPhase === 'inspiration') {
+    if (isInspirationComplete()) {
+      if (holdRequested === 'inspiratory') {
+        beginHold('inspiratory');
+        return;
+      }
+      breathPhase = 'expiration';
+      breathTimer = 0;
+      cyclePressure = pressure;
+    }
+  } else if (isMandatoryBreathDue()) {
+    // No patient trigger within the set cycle, so the machine breath is time-triggered
+    startInspiration('mandatory');
+  }
+}
+
+// Check whether the current inspiration should cycle to expiration
+function isInspirationComplete() {
+  if (breathControl === 'support') {
+    // Flow-cycled: ends once flow decays to the set fraction of its peak
+    if (breathTimer >= MAX_SUPPORT_INSPIRATION) return true;
+    return breathTimer >= ventilatorSettings.riseTime &&
+      flow <= peakInspiratoryFlow * ventilatorSettings.cycleOff / 100;
+  }
+  
+  // Mandatory breaths are time-cycled
+  return breathTimer >= inspirationTime;
+}
+
+// Check whether a time-triggered mandatory breath is due
+function isMandatoryBreathDue() {
+  switch (ventilatorSettings.mode) {
+    case 'PSV':
+      // Every breath is patient-triggered
+      return false;
+    case 'SIMV':
+      // Mandatory breaths keep the set rate even after spontaneous breaths
+      return mandatoryTimer >= totalBreathTime && breathTimer >= TRIGGER_LOCKOUT;
+    default:
+      return breathTimer >= expirationTime;
+  }
+}
+
+// Decide what kind of breath a patient trigger starts
+function getTriggeredBreathType() {
+  switch (ventilatorSettings.mode) {
+    case 'PSV':
+      return 'spontaneous';
+    case 'SIMV':
+      // Efforts late in the SIMV cycle are synchronized with the next mandatory
+      // breath, earlier ones only get pressure support
+      return mandatoryTimer >= totalBreathTime * (1 - SIMV_TRIGGER_WINDOW) ? 'assisted' : 'spontaneous';
+    default:
+      return 'assisted';
+  }
+}
+
+// Decide how a breath is delivered in the current mode
+function getBreathControl(type) {
+  switch (ventilatorSettings.mode) {
+    case 'VCV':
+      return 'volume';
+    case 'PSV':
+      return 'support';
+    case 'SIMV':
+      return type === 'spontaneous' ? 'support' : 'volume';
+    default:
+      return 'pressure';
+  }
+}
+
+// Begin a new inspiration
+function startInspiration(type) {
+  // A requested expiratory hold takes the place of the next breath
+  if (holdRequested === 'expiratory') {
+    beginHold('expiratory');
+    return;
+  }
+  
+  breathPhase = 'inspiration';
+  breathTimer = 0;
+  breathType = type;
+  breathControl = getBreathControl(type);
+  deliveredVolume = 0;
+  peakInspiratoryFlow = 0;
+  lastInspiredVolume = breathInspiredVolume;
+  breathInspiredVolume = 0;
+  watchFirstBreath();
+  
+  // End-tidal CO2 is the peak of the exhalation that just finished
+  etco2 = breathPeakCO2;
+  breathPeakCO2 = 0;
+  
+  if (type !== 'spontaneous') {
+    mandatoryTimer = 0;
+  }
+}
+
+// Advance the patient's spontaneous breathing pattern and muscle pressure
+function updatePatientEffort(deltaTime) {
+  if (!patientParameters.spontaneousRate || !patientParameters.effort) {
+    patientTimer = 0;
+    musclePressure = 0;
+    return;
+  }
+  
+  const patientCycleTime = (60 / patientParameters.spontaneousRate) * 1000;
+  const patientInspirationTime = Math.min(MAX_PATIENT_INSPIRATION, patientCycleTime * 0.4);
+  
+  patientTimer = (patientTimer + deltaTime) % patientCycleTime;
   
-  // Check if we need to switch breath phase
-  if (breathPhase === 'inspiration' && breathTimer >= inspirationTime) {
-    breathPhase = 'expiration';
-    breathTimer = 0;
-  } else if (breathPhase === 'expiration' && breathTimer >= expirationTime) {
-    breathPhase = 'inspiration';
-    breathTimer = 0;
+  // Half-sine effort during the patient's inspiration, relaxed otherwise
+  if (patientTimer < patientInspirationTime) {
+    musclePressure = patientParameters.effort * Math.sin(Math.PI * patientTimer / patientInspirationTime);
+  } else {
+    musclePressure = 0;
+  }
+}
+
+// Check whether the patient's effort crosses the set trigger sensitivity
+function isPatientTriggering() {
+  if (ventilatorSettings.triggerType === 'flow') {
+    // Bias flow holds the circuit at PEEP, so the ventilator sees inspiratory flow
+    return flow >= ventilatorSettings.flowTrigger;
   }
   
-  // Calculate target pressure based on breath phase
+  return pressure <= ventilatorSettings.peep - ventilatorSettings.triggerSensitivity;
+}
+
+// Calculate the pressure the ventilator is targeting in pressure-controlled phases
+function calculateTargetPressure() {
   let targetPressure;
-  if (breathPhase === 'inspiration') {
+  if (breathPhase === 'inspiration' && breathControl === 'support') {
+    // Pressure support rises to its level over the set rise time and holds it
+    const riseProgress = Math.min(breathTimer / Math.max(ventilatorSettings.riseTime, 1), 1);
+    targetPressure = ventilatorSettings.peep + ventilatorSettings.pressureSupport * riseProgress;
+  } else if (breathPhase === 'inspiration') {
     // Calculate how far through inspiration (0 to 1)
     const inspirationProgress = Math.min(breathTimer / inspirationTime, 1);
     
@@ -166,97 +636,515 @@ function simulationStep() {
       (ventilatorSettings.pip - ventilatorSettings.peep) * 
       Math.pow(inspirationProgress, 0.7); // Curved ramp
   } else {
-    // Calculate how far through expiration (0 to 1)
-    const expirationProgress = Math.min(breathTimer / expirationTime, 1);
-    
-    // Pressure decays during expiration with an exponential curve
-    targetPressure = ventilatorSettings.pip - 
-      (ventilatorSettings.pip - ventilatorSettings.peep) * 
-      (1 - Math.exp(-5 * expirationProgress)); // Exponential decay
+    // Pressure decays during expiration with an exponential curve as the
+    // exhalation valve opens, so the circuit is back at PEEP early enough
+    // for a patient effort to pull it below PEEP
+    targetPressure = cyclePressure - 
+      (cyclePressure - ventilatorSettings.peep) * 
+      (1 - Math.exp(-breathTimer / EXHALATION_VALVE_TIME)); // Exponential decay
   }
   
-  // Pressure changes with some lag (not instantaneous)
-  const pressureResponse = 0.1; // lower = slower response
-  pressure = pressure + (targetPressure - pressure) * pressureResponse;
+  return targetPressure;
+}
+
+// Volume delivered by the set VCV flow pattern from the start of inspiration (mL)
+function calculateDeliveredVolume(elapsedTime) {
+  const progress = Math.min(Math.max(elapsedTime / inspirationTime, 0), 1);
   
-  // Update lung units (for multi-compartment model)
-  updateLungUnits(pressure, deltaTime);
+  if (ventilatorSettings.flowPattern === 'decelerating') {
+    // Flow ramps down linearly from twice the mean flow to zero
+    return ventilatorSettings.tidalVolume * (2 * progress - progress * progress);
+  }
   
-  // Calculate total volume and flow across all lung units
-  volume = calculateTotalVolume();
+  // Square wave: constant flow for the whole inspiratory time
+  return ventilatorSettings.tidalVolume * progress;
+}
+
+// Solve for the airway pressure that pushes a given volume into the circuit
+// and the open lung units over one step. Each unit fills exponentially
+// towards its target volume, so the delivered volume is linear in pressure.
+function solveAirwayPressure(stepVolume, deltaTime) {
+  let totalCompliance = CIRCUIT_COMPLIANCE;
+  let totalDrive = stepVolume + CIRCUIT_COMPLIANCE * pressure;
   
-  // Calculate flow based on volume change
-  // Convert mL/ms to L/min: (mL/ms) * (1000 ms/s) * (60 s/min) * (1 L/1000 mL)
-  const volumeChangeRate = (volume - previousVolume) / deltaTime;
-  flow = volumeChangeRate * 60; // mL/ms to L/min
-  previousVolume = volume;
+  lungUnits.forEach(unit => {
+    if (!unit.isOpen) return;
+    
+    const basePressure = getSurroundingPressure(unit) - musclePressure;
+    
+    // Linearise the unit's pressure-volume curve around the current pressure
+    const segment = getPressureVolumeSegment(unit, pressure - basePressure);
+    
+    // Units above the volume the current airway pressure holds will be emptying
+    const emptying = unit.volume > getUnitTargetVolume(unit, pressure - basePressure);
+    const volumeResponse = 1 - Math.exp(-deltaTime / getUnitTimeConstant(unit, emptying));
+    
+    totalCompliance += segment.compliance * volumeResponse;
+    totalDrive += volumeResponse * (unit.volume + segment.compliance * basePressure - segment.volume);
+  });
   
-  // Return current simulation state
-  return {
-    time: currentTime,
-    breathPhase: breathPhase,
-    pressure: pressure,
-    volume: volume,
-    flow: flow,
-    lungUnits: lungUnits.map(unit => ({ 
-      id: unit.id, 
-      isOpen: unit.isOpen, 
-      volume: unit.volume 
-    }))
-  };
+  return totalDrive / totalCompliance;
 }
 
 // Update all lung units
 let previousVolume = 0;
 function updateLungUnits(currentPressure, deltaTime) {
-  // Time constant in milliseconds (resistance * compliance)
-  const baseTimeConstant = patientParameters.resistance * patientParameters.compliance;
-  
   // Update each lung unit
   lungUnits.forEach(unit => {
     // Apply superimposed pressure based on position (dorsal units have more superimposed pressure)
-    const superimposedPressure = unit.position * 5; // Up to 5 cmH2O at dorsal units
-    const effectivePressure = currentPressure - superimposedPressure;
+    // Inspiratory muscle effort lowers pleural pressure and adds to the distending pressure
+    const effectivePressure = currentPressure - getSurroundingPressure(unit) + musclePressure;
     
-    // Check for recruitment/derecruitment
-    if (!unit.isOpen && effectivePressure >= unit.openingPressure) {
+    // Check for recruitment/derecruitment. A unit only closes once it has
+    // emptied down to its closing pressure, not as soon as the airway drops
+    const unitPressure = unit.volume / getUnitCompliance(unit);
+    if (unit.occluded) {
+      unit.isOpen = false;
+    } else if (!unit.isOpen && effectivePressure >= unit.openingPressure) {
       unit.isOpen = true;
-    } else if (unit.isOpen && effectivePressure <= unit.closingPressure) {
+    } else if (unit.isOpen && Math.max(effectivePressure, unitPressure) <= unit.closingPressure) {
       unit.isOpen = false;
     }
     
     // Calculate volume change
+    const previousUnitVolume = unit.volume;
     if (unit.isOpen) {
-      // Transpulmonary pressure (pressure across the lung)
-      const transpulmonaryPressure = effectivePressure - ventilatorSettings.peep;
-      
-      // Target volume based on compliance
-      const targetVolume = transpulmonaryPressure * (unit.compliance / lungUnits.length);
+      // Target volume from the transpulmonary pressure (pressure across the
+      // lung) measured from the unit's relaxed volume
+      const targetVolume = getUnitTargetVolume(unit, effectivePressure);
       
-      // Unit-specific time constant
-      const unitTimeConstant = baseTimeConstant * (0.8 + unit.position * 0.4); // Dorsal units slower
-      
-      // Rate of volume change (smaller time constant = faster response)
-      const volumeResponse = 1 - Math.exp(-deltaTime / unitTimeConstant);
+      // Rate of volume change (smaller time constant = faster response).
+      // Emptying through a narrowed airway is slower than filling, so with a
+      // short expiratory time the unit starts the next breath above its target
+      const emptying = targetVolume < unit.volume;
+      const volumeResponse = 1 - Math.exp(-deltaTime / getUnitTimeConstant(unit, emptying));
       
       // Update unit volume
       unit.volume = unit.volume + (targetVolume - unit.volume) * volumeResponse;
+    } else if (unit.occluded) {
+      // Gas behind a plug is slowly absorbed into the blood
+      unit.volume = unit.volume * Math.exp(-deltaTime / ABSORPTION_TIME);
+    } else if (!unit.trapsGas) {
+      // Collapsing alveoli empty through their own airway
+      unit.volume = unit.volume * Math.exp(-deltaTime / getUnitTimeConstant(unit, true));
+    }
+    // A closed airway in obstructive disease traps the gas behind it
+    unit.volumeChange = unit.volume - previousUnitVolume;
+  });
+}
+
+// Helper function to put every unit at its volume at PEEP, as in a lung already
+// ventilated at this PEEP: units PEEP holds above their closing pressure are
+// open, the others collapsed. The airway volume is the total the units hold.
+function fillUnitsToPeep() {
+  lungUnits.forEach(unit => {
+    const distendingPressure = ventilatorSettings.peep - getSurroundingPressure(unit);
+    unit.isOpen = !unit.occluded && distendingPressure > unit.closingPressure;
+    unit.volume = unit.isOpen ? getUnitTargetVolume(unit, distendingPressure) : 0;
+    unit.volumeChange = 0;
+  });
+  volume = calculateTotalVolume();
+  previousVolume = volume;
+}
+
+// Pressure around a unit from the weight of the lung above it and any air in the pleural space (cmH2O)
+function getSurroundingPressure(unit) {
+  return unit.position * SUPERIMPOSED_PRESSURE + unit.pleuralPressure;
+}
+
+// Share of the patient's compliance carried by one unit (mL/cmH2O)
+function getUnitCompliance(unit) {
+  const totalUnitCompliance = lungUnits.reduce((total, u) => total + u.compliance, 0);
+  return patientParameters.compliance * unit.compliance / totalUnitCompliance;
+}
+
+// Volume a unit holds at a distending pressure (mL). Past its overdistension
+// pressure the unit is stretched towards its limit and stiffens, which shows
+// as "beaking" at the top of the pressure-volume loop.
+function getUnitTargetVolume(unit, distendingPressure) {
+  const segment = getPressureVolumeSegment(unit, distendingPressure);
+  return Math.max(segment.volume + segment.compliance * distendingPressure, 0);
+}
+
+// The straight part of a unit's pressure-volume curve at a distending pressure:
+// volume = segment.volume + segment.compliance * pressure
+function getPressureVolumeSegment(unit, distendingPressure) {
+  const unitCompliance = getUnitCompliance(unit);
+  if (distendingPressure <= unit.overdistensionPressure) {
+    return { compliance: unitCompliance, volume: 0 };
+  }
+  
+  const stiffCompliance = unitCompliance * OVERDISTENDED_COMPLIANCE;
+  return {
+    compliance: stiffCompliance,
+    volume: (unitCompliance - stiffCompliance) * unit.overdistensionPressure
+  };
+}
+
+// Relative resistance of the airway path to one unit
+function getRelativeResistance(unit) {
+  return unit.airwayResistance * (0.8 + unit.position * 0.4); // Dorsal units slower
+}
+
+// Resistance of the airway path to one unit (cmH2O·s/L)
+// Units sit in parallel, so they are scaled to add up to the patient's resistance
+function getUnitResistance(unit, emptying) {
+  const totalConductance = lungUnits.reduce((total, u) => total + 1 / getRelativeResistance(u), 0);
+  const resistance = patientParameters.resistance * getRelativeResistance(unit) * totalConductance;
+  if (!emptying) return resistance;
+  if (!unit.trapsGas) return resistance * unit.expiratoryResistance;
+  
+  // Diseased small airways lose their support as the unit empties and are
+  // squeezed narrower, so expiratory flow falls off early (flow limitation)
+  const supportedVolume = getUnitCompliance(unit) * AIRWAY_SUPPORT_PRESSURE;
+  return resistance * Math.max(1, unit.expiratoryResistance * Math.pow(supportedVolume / Math.max(unit.volume, 1), 2));
+}
+
+// Time constant in milliseconds (cmH2O·s/L * mL/cmH2O = ms)
+// An overdistended unit is stiffer, so it also fills and empties faster
+function getUnitTimeConstant(unit, emptying) {
+  const unitCompliance = getUnitCompliance(unit);
+  return getUnitResistance(unit, emptying) * unitCompliance * (isUnitOverdistended(unit) ? OVERDISTENDED_COMPLIANCE : 1);
+}
+
+// Whether a unit is stretched past its overdistension pressure
+function isUnitOverdistended(unit) {
+  return unit.volume > getUnitCompliance(unit) * unit.overdistensionPressure;
+}
+
+// Scale factors from the reference patient to this patient's weight: blood flow
+// and metabolism scale with weight^0.75 (higher per kg in small patients),
+// dead space and body CO2 stores with weight
+function getBodyScale() {
+  const weightRatio = patientParameters.weight / REFERENCE_WEIGHT;
+  return { metabolic: Math.pow(weightRatio, 0.75), volume: weightRatio };
+}
+
+// Update blood gases from the ventilation/perfusion matching of each lung unit
+function updateGasExchange(deltaTime) {
+  if (deltaTime <= 0) return;
+  gasExchangeTime += deltaTime;
+  
+  // Exponential smoothing, using a running mean until the history is long enough
+  const ventilationWeight = Math.max(1 - Math.exp(-deltaTime / VENTILATION_AVERAGING_TIME), deltaTime / gasExchangeTime);
+  const oxygenWeight = 1 - Math.exp(-deltaTime / OXYGEN_EQUILIBRATION_TIME);
+  const oximeterWeight = 1 - Math.exp(-deltaTime / PULSE_OXIMETER_AVERAGING);
+  
+  lungUnits.forEach(unit => {
+    const inspiredFlow = Math.max(0, unit.volumeChange) / deltaTime * 60000; // mL/min
+    unit.ventilation += (inspiredFlow - unit.ventilation) * ventilationWeight;
+    unit.openFraction += ((unit.isOpen ? 1 : 0) - unit.openFraction) * ventilationWeight;
+  });
+  
+  // The blood keeps its starting gases until the first breath has been seen,
+  // unless no breath comes (e.g. an apneic patient)
+  if (gasExchangePhase !== 'running') {
+    if (simulationTime < FIRST_BREATH_WAIT) return;
+    gasExchangePhase = 'running';
+  }
+  
+  const exchange = exchangeGases();
+  shuntFraction = exchange.shuntFraction;
+  arterialO2Content += (exchange.arterialO2Content - arterialO2Content) * oxygenWeight;
+  pao2 = oxygenPressureFromContent(arterialO2Content);
+  spo2 += (oxygenSaturation(pao2) * 100 - spo2) * oximeterWeight;
+  paco2 = exchange.paco2;
+  
+  // Body CO2 stores fill when production exceeds elimination
+  const bodyScale = getBodyScale();
+  venousCO2 += (CO2_PRODUCTION * bodyScale.metabolic - exchange.co2Elimination) /
+    (CO2_STORE_CAPACITANCE * bodyScale.volume) * deltaTime / 60000;
+  venousCO2 = Math.max(venousCO2, 0);
+}
+
+// Exchange gas between the units' ventilation and the current venous blood.
+// Returns the arterial blood it makes: { arterialO2Content, paco2, shuntFraction,
+// co2Elimination (mL/min) }.
+function exchangeGases() {
+  const bodyScale = getBodyScale();
+  const cardiacOutput = CARDIAC_OUTPUT * bodyScale.metabolic;
+  const deadSpace = ANATOMIC_DEAD_SPACE * bodyScale.volume;
+  
+  // Part of each breath only refreshes the anatomic dead space
+  const alveolarFraction = lastInspiredVolume > deadSpace ?
+    1 - deadSpace / lastInspiredVolume : 0;
+  
+  const fio2 = ventilatorSettings.fio2 / 100;
+  const inspiredO2 = fio2 * INSPIRED_GAS_PRESSURE;
+  const venousO2Content = Math.max(arterialO2Content - OXYGEN_CONSUMPTION * bodyScale.metabolic / (cardiacOutput / 100), 1);
+  const venousO2 = oxygenPressureFromContent(venousO2Content);
+  const totalPerfusion = lungUnits.reduce((total, unit) => total + unit.perfusion, 0);
+  
+  let capillaryO2Content = 0;    // Perfusion-weighted end-capillary O2 content
+  let capillaryCO2 = 0;          // Perfusion-weighted end-capillary PCO2
+  let shuntedBlood = 0;
+  let co2Elimination = 0;        // mL/min
+  
+  lungUnits.forEach(unit => {
+    // Blood through a closed unit bypasses gas exchange entirely (shunt)
+    const unitPerfusion = cardiacOutput * unit.perfusion / totalPerfusion;
+    const exchangingPerfusion = unitPerfusion * unit.openFraction;
+    const alveolarVentilation = unit.ventilation * alveolarFraction;
+    const ventilationPerfusion = exchangingPerfusion > 0 ? alveolarVentilation / exchangingPerfusion : 0;
+    
+    // CO2 mass balance: blood delivers what ventilation removes
+    unit.pco2 = venousCO2 / (1 + ventilationPerfusion / (CO2_VENTILATION_FACTOR * CO2_DISSOCIATION_SLOPE));
+    
+    // Alveolar gas equation, pulled towards venous PO2 as V/Q falls
+    const idealAlveolarO2 = inspiredO2 - unit.pco2 * (fio2 + (1 - fio2) / RESPIRATORY_QUOTIENT);
+    const alveolarO2 = venousO2 + (idealAlveolarO2 - venousO2) *
+      ventilationPerfusion / (ventilationPerfusion + LOW_VQ_O2_FACTOR);
+    
+    capillaryO2Content += exchangingPerfusion * oxygenContent(Math.max(alveolarO2, venousO2));
+    capillaryCO2 += exchangingPerfusion * unit.pco2;
+    shuntedBlood += unitPerfusion - exchangingPerfusion;
+    co2Elimination += alveolarVentilation * unit.pco2 / CO2_VENTILATION_FACTOR;
+  });
+  
+  // Mix end-capillary blood with shunted venous blood
+  return {
+    arterialO2Content: (capillaryO2Content + shuntedBlood * venousO2Content) / cardiacOutput,
+    paco2: (capillaryCO2 + shuntedBlood * venousCO2) / cardiacOutput,
+    shuntFraction: shuntedBlood / cardiacOutput,
+    co2Elimination: co2Elimination
+  };
+}
+
+// The blood gases start once the patient has taken one whole breath from rest:
+// its start clears the units' ventilation history, its end gives the ventilation
+// the blood gases start from
+function watchFirstBreath() {
+  if (gasExchangePhase === 'waiting') {
+    gasExchangePhase = 'first-breath';
+    gasExchangeTime = 0;
+  } else if (gasExchangePhase === 'first-breath') {
+    gasExchangePhase = 'running';
+    setSteadyStateBloodGases();
+  }
+}
+
+// Set the blood gases to their steady state for the current ventilation, as in
+// a patient already ventilated like this: CO2 elimination matches production,
+// and the arterial blood is the blood its own venous return makes
+function setSteadyStateBloodGases() {
+  const co2Production = CO2_PRODUCTION * getBodyScale().metabolic;
+  for (let i = 0; i < STEADY_STATE_ITERATIONS; i++) {
+    const exchange = exchangeGases();
+    arterialO2Content = exchange.arterialO2Content;
+    
+    // CO2 elimination is proportional to venous PCO2
+    if (exchange.co2Elimination > 0) {
+      venousCO2 *= co2Production / exchange.co2Elimination;
+    }
+  }
+  
+  const exchange = exchangeGases();
+  shuntFraction = exchange.shuntFraction;
+  paco2 = exchange.paco2;
+  pao2 = oxygenPressureFromContent(arterialO2Content);
+  spo2 = oxygenSaturation(pao2) * 100;
+}
+
+// Update the CO2 seen by the airway sensor. Exhaled gas first clears the
+// anatomic dead space (phase I), then mixes into alveolar gas (phase II) and
+// finally follows the units that are still emptying (phase III). Slow units
+// with low V/Q empty last, which tilts the plateau in obstructive disease.
+function updateCapnography(deltaTime) {
+  let targetCO2 = 0;
+  
+  if (circuitConnected && flow < 0) {
+    expiredVolume += calculateStepOutflow();
+    
+    // Flow-weighted alveolar PCO2 of the units currently emptying
+    let emptyingVolume = 0;
+    let emptyingCO2 = 0;
+    lungUnits.forEach(unit => {
+      if (unit.volumeChange < 0) {
+        emptyingVolume -= unit.volumeChange;
+        emptyingCO2 -= unit.volumeChange * unit.pco2;
+      }
+    });
+    const alveolarCO2 = emptyingVolume > 0 ? emptyingCO2 / emptyingVolume : 0;
+    
+    // Dead space washout front, spread wider when time constants are uneven
+    const dispersion = timeConstantDispersion();
+    const mixingWidth = Math.min(0.3 + 0.5 * dispersion, 0.9);
+    const deadSpace = ANATOMIC_DEAD_SPACE * getBodyScale().volume;
+    const washoutStart = deadSpace * (1 - mixingWidth);
+    const washoutEnd = deadSpace * (1 + mixingWidth);
+    const washout = Math.min(Math.max((expiredVolume - washoutStart) / (washoutEnd - washoutStart), 0), 1);
+    
+    // Late-emptying units have kept taking up CO2 for longer, so the plateau
+    // tilts upwards around the mean alveolar PCO2
+    const plateauRise = 1 + PHASE_III_SLOPE * dispersion * (breathTimer - expirationTime / 2) / 1000;
+    
+    targetCO2 = alveolarCO2 * plateauRise * washout * washout * (3 - 2 * washout); // Smoothstep
+  } else {
+    // Inspired gas (or room air when disconnected) carries no CO2
+    expiredVolume = 0;
+  }
+  
+  co2 += (targetCO2 - co2) * (1 - Math.exp(-deltaTime / CAPNOMETER_RESPONSE_TIME));
+  breathPeakCO2 = Math.max(breathPeakCO2, co2);
+}
+
+// Volume that left the lungs over the last step (mL)
+function calculateStepOutflow() {
+  return -lungUnits.reduce((total, unit) => total + unit.volumeChange, 0);
+}
+
+// Coefficient of variation of the lung units' time constants
+function timeConstantDispersion() {
+  const timeConstants = lungUnits.map(unit => getUnitTimeConstant(unit, true));
+  if (timeConstants.length < 2) return 0;
+  
+  const mean = timeConstants.reduce((total, tc) => total + tc, 0) / timeConstants.length;
+  const variance = timeConstants.reduce((total, tc) => total + (tc - mean) * (tc - mean), 0) / timeConstants.length;
+  return Math.sqrt(variance) / mean;
+}
+
+// Hemoglobin saturation for a given PO2 (Severinghaus equation, 0 to 1)
+function oxygenSaturation(po2) {
+  if (po2 <= 0) return 0;
+  return 1 / (23400 / (Math.pow(po2, 3) + 150 * po2) + 1);
+}
+
+// Blood oxygen content for a given PO2 (mL O2/dL)
+function oxygenContent(po2) {
+  return 1.34 * HEMOGLOBIN * oxygenSaturation(po2) + 0.003 * po2;
+}
+
+// Invert oxygenContent by bisection (mmHg)
+function oxygenPressureFromContent(content) {
+  let low = 0;
+  let high = INSPIRED_GAS_PRESSURE;
+  for (let i = 0; i < 30; i++) {
+    const mid = (low + high) / 2;
+    if (oxygenContent(mid) < content) {
+      low = mid;
     } else {
-      // If unit is closed, apply passive emptying
-      unit.volume = unit.volume * Math.exp(-deltaTime / 100); // Passive emptying time constant
+      high = mid;
     }
+  }
+  return (low + high) / 2;
+}
+
+// Request an end-inspiratory pause at the end of the next inspiration
+function startInspiratoryHold() {
+  if (!holdType) holdRequested = 'inspiratory';
+  return holdRequested;
+}
+
+// Request an end-expiratory pause in place of the next breath
+function startExpiratoryHold() {
+  if (!holdType) holdRequested = 'expiratory';
+  return holdRequested;
+}
+
+// Close both valves and freeze the breath cycle
+function beginHold(type) {
+  holdRequested = null;
+  holdType = type;
+  holdTimer = 0;
+  
+  if (type === 'inspiratory') {
+    holdPeakPressure = pressure;
+    holdFlow = flow;
+    holdTidalVolume = breathInspiredVolume;
+  }
+}
+
+// Read the equilibrated pressure and derive the respiratory mechanics
+function completeHold() {
+  const setPeep = ventilatorSettings.peep;
+  
+  if (holdType === 'expiratory') {
+    // With the lungs and circuit in equilibrium the airway shows alveolar pressure
+    measuredTotalPeep = pressure;
+    holdMeasurements = {
+      type: 'expiratory',
+      totalPeep: pressure,                             // cmH2O
+      intrinsicPeep: Math.max(pressure - setPeep, 0)   // cmH2O
+    };
+  } else {
+    const plateauPressure = pressure;
+    const totalPeep = measuredTotalPeep !== null ? measuredTotalPeep : setPeep;
+    const drivingPressure = plateauPressure - totalPeep;
+    
+    // Resistance needs a known flow at the moment the valves closed, as in
+    // volume control; a pressure-controlled breath may have stopped flowing
+    const resistance = holdFlow >= MIN_RESISTANCE_FLOW ?
+      (holdPeakPressure - plateauPressure) / (holdFlow / 60) : null;
+    
+    holdMeasurements = {
+      type: 'inspiratory',
+      peakPressure: holdPeakPressure,                  // cmH2O
+      plateauPressure: plateauPressure,                // cmH2O
+      totalPeep: totalPeep,                            // cmH2O
+      intrinsicPeep: Math.max(totalPeep - setPeep, 0), // cmH2O
+      drivingPressure: drivingPressure,                // cmH2O
+      staticCompliance: drivingPressure > 0.5 ? holdTidalVolume / drivingPressure : null, // mL/cmH2O
+      resistance: resistance                           // cmH2O·s/L
+    };
+  }
+  
+  holdType = null;
+  holdTimer = 0;
+}
+
+// Block or clear the airways of the given lung units (e.g. a mucus plug)
+function setUnitsOccluded(unitIds, occluded) {
+  lungUnits.forEach(unit => {
+    if (unitIds.includes(unit.id)) unit.occluded = occluded;
   });
 }
 
+// Set the extra pleural pressure around the given lung units (e.g. a pneumothorax)
+function setPleuralPressure(unitIds, pleuralPressure) {
+  lungUnits.forEach(unit => {
+    if (unitIds.includes(unit.id)) unit.pleuralPressure = pleuralPressure;
+  });
+}
+
+// Connect or disconnect the patient from the ventilator circuit
+function setCircuitConnected(connected) {
+  circuitConnected = connected;
+  return circuitConnected;
+}
+
 // Calculate total lung volume across all units
 function calculateTotalVolume() {
   return lungUnits.reduce((total, unit) => total + unit.volume, 0);
 }
 
+// Volume the set PEEP holds in the open units that stay open at end-expiration.
+// The displayed volume is measured from here, so trapped gas lifts the baseline.
+function calculateRelaxedVolume() {
+  return lungUnits.reduce((total, unit) => {
+    const peepPressure = ventilatorSettings.peep - getSurroundingPressure(unit);
+    return unit.isOpen && peepPressure > unit.closingPressure ? total + peepPressure * getUnitCompliance(unit) : total;
+  }, 0);
+}
+
 // Export functions
-window.SimulationCore = {
+const SimulationCore = {
   initialize: initializeSimulation,
   updateVentilatorSettings: updateVentilatorSettings,
   updatePatientParameters: updatePatientParameters,
+  getVentilatorSettings: getVentilatorSettings,
+  getPatientParameters: getPatientParameters,
+  setCircuitConnected: setCircuitConnected,
+  setUnitsOccluded: setUnitsOccluded,
+  setPleuralPressure: setPleuralPressure,
+  startInspiratoryHold: startInspiratoryHold,
+  startExpiratoryHold: startExpiratoryHold,
   step: simulationStep
-};
\ No newline at end of file
+};
+
+// The core has no DOM dependencies, so it also loads as a Node module
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SimulationCore;
+}
+if (typeof window !== 'undefined') {
+  window.SimulationCore = SimulationCore;
+}
\ No newline at end of file
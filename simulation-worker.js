@@ -0,0 +1,107 @@
+// simulation-worker.js - Complete replacement file
+
+// Runs the simulation core off the page's main thread, so slider drags, canvas
+// redraws and background-tab timer throttling do not disturb the physics.
+// The page sends settings and commands; the worker sends back batches of samples.
+// importScripts shares this scope, so the store and core are available as globals.
+importScripts('settings-store.js', 'simulation-core.js');
+
+// Each sample covers a fixed stretch of simulated time, however late a tick runs
+const SAMPLE_INTERVAL = 16;    // Simulated time between samples (ms)
+const BATCH_INTERVAL = 50;     // How often a batch of samples is posted to the page (ms)
+const MAX_CATCH_UP = 1000;     // Longest gap made up at once after the worker was held up (ms)
+
+let runTimer = null;
+let lastTickTime = 0;          // Wall-clock time of the last tick (ms)
+let unsimulatedTime = 0;       // Wall-clock time not yet simulated (ms)
+let batch = [];
+let lastBatchTime = 0;         // Wall-clock time the last batch was posted (ms)
+
+// Handle a message from the page
+self.onmessage = function(e) {
+  const message = e.data;
+  
+  try {
+    switch (message.type) {
+      case 'initialize':
+        SimulationCore.initialize(message.ventilatorSettings, message.patientParameters, message.options);
+        batch = [];
+        break;
+      case 'start':
+        startRunning();
+        break;
+      case 'stop':
+        stopRunning();
+        break;
+      case 'update-ventilator':
+        SimulationCore.updateVentilatorSettings(message.settings);
+        break;
+      case 'update-patient':
+        SimulationCore.updatePatientParameters(message.parameters);
+        break;
+      case 'set-circuit':
+        SimulationCore.setCircuitConnected(message.connected);
+        break;
+      case 'set-occluded':
+        SimulationCore.setUnitsOccluded(message.units, message.occluded);
+        break;
+      case 'set-pleural-pressure':
+        SimulationCore.setPleuralPressure(message.units, message.pressure);
+        break;
+      case 'inspiratory-hold':
+        SimulationCore.startInspiratoryHold();
+        break;
+      case 'expiratory-hold':
+        SimulationCore.startExpiratoryHold();
+        break;
+      default:
+        throw new Error('Unknown message: ' + message.type);
+    }
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
+
+// Follow the wall clock from now
+function startRunning() {
+  if (runTimer) return;
+  
+  lastTickTime = Date.now();
+  lastBatchTime = lastTickTime;
+  unsimulatedTime = 0;
+  runTimer = setInterval(tick, SAMPLE_INTERVAL);
+}
+
+// Stop, handing over the samples still waiting to be posted
+function stopRunning() {
+  if (!runTimer) return;
+  
+  clearInterval(runTimer);
+  runTimer = null;
+  postBatch();
+}
+
+// Simulate the time since the last tick and post a batch when one is due
+function tick() {
+  const now = Date.now();
+  unsimulatedTime = Math.min(unsimulatedTime + now - lastTickTime, MAX_CATCH_UP);
+  lastTickTime = now;
+  
+  while (unsimulatedTime >= SAMPLE_INTERVAL) {
+    unsimulatedTime -= SAMPLE_INTERVAL;
+    batch.push(SimulationCore.step(SAMPLE_INTERVAL));
+  }
+  
+  if (now - lastBatchTime >= BATCH_INTERVAL) {
+    postBatch();
+    lastBatchTime = now;
+  }
+}
+
+// Helper function to send the waiting samples to the page
+function postBatch() {
+  if (batch.length === 0) return;
+  
+  self.postMessage({ type: 'samples', samples: batch });
+  batch = [];
+}
\ No newline at end of file
@@ -0,0 +1,462 @@
+// ui-layout.js - Complete replacement file
+
+// The ventilator screen, described as data and built into the page on load.
+// Every other module finds its elements by these ids, so this script must run
+// (and build) before they initialize.
+
+// Ventilator settings controls, in display order. Labels, units, ranges and
+// options come from the settings store schema. Ranges create `<id>-control`
+// and `<id>-value` elements; controls sharing a `group` are shown and hidden
+// together by VentilatorUI when the mode or trigger type changes. `perKg`
+// adds an `<id>-per-kg` element for the value per kg of ideal body weight.
+const VENTILATOR_CONTROLS = defineControls('ventilator', [
+  { key: 'mode', id: 'ventilator-mode' },
+  { key: 'peep', id: 'peep' },
+  { key: 'pip', id: 'pip', group: 'pip-controls' },
+  { key: 'tidalVolume', id: 'tidal-volume', group: 'tidal-volume-controls', perKg: true },
+  { key: 'flowPattern', id: 'flow-pattern', group: 'tidal-volume-controls' },
+  { key: 'rate', id: 'rate' },
+  { key: 'ieRatio', id: 'ie-ratio' },
+  { key: 'fio2', id: 'fio2' },
+  { key: 'triggerType', id: 'trigger-type' },
+  { key: 'triggerSensitivity', id: 'trigger', group: 'pressure-trigger-controls' },
+  { key: 'flowTrigger', id: 'flow-trigger', group: 'flow-trigger-controls' },
+  { key: 'pressureSupport', id: 'pressure-support', group: 'pressure-support-controls' },
+  { key: 'cycleOff', id: 'cycle-off', group: 'pressure-support-controls' },
+  { key: 'riseTime', id: 'rise-time', group: 'pressure-support-controls' }
+]);
+
+// Patient parameter controls, in display order
+const PATIENT_CONTROLS = defineControls('patient', [
+  { key: 'sex', id: 'patient-sex' },
+  { key: 'age', id: 'patient-age' },
+  { key: 'height', id: 'patient-height' },
+  { key: 'weight', id: 'patient-weight' },
+  { key: 'lungModel', id: 'lung-model' },
+  { key: 'compliance', id: 'compliance' },
+  { key: 'resistance', id: 'resistance' },
+  { key: 'spontaneousRate', id: 'spontaneous-rate' },
+  { key: 'effort', id: 'effort' }
+]);
+
+// Typical patients by size; their demographics come from PatientDemographics
+const BODY_SIZE_PRESETS = [
+  { id: 'neonate-preset', label: 'Neonate', bodySize: 'neonate' },
+  { id: 'child-preset', label: 'Child', bodySize: 'child' },
+  { id: 'adult-female-preset', label: 'Adult F', bodySize: 'adultFemale' },
+  { id: 'adult-male-preset', label: 'Adult M', bodySize: 'adultMale' }
+];
+
+// Patient condition presets, scaled to the patient's size by PatientDemographics
+const PATIENT_PRESETS = [
+  { id: 'normal-preset', label: 'Normal', condition: 'normal' },
+  { id: 'ards-preset', label: 'ARDS', condition: 'ards' },
+  { id: 'copd-preset', label: 'COPD', condition: 'copd' },
+  { id: 'asthma-preset', label: 'Asthma', condition: 'asthma' }
+];
+
+// The whole screen. Each entry is a component; `createComponent` builds it.
+const SCREEN_LAYOUT = [
+  { type: 'header', title: 'Ventilator Simulation', children: [
+    { type: 'button', id: 'start-stop-button', label: 'Stop' },
+    { type: 'button', id: 'disconnect-button', label: 'Disconnect' },
+    { type: 'button', id: 'inspiratory-hold-button', label: 'Insp. Hold' },
+    { type: 'button', id: 'expiratory-hold-button', label: 'Exp. Hold' },
+    { type: 'button', id: 'instructor-button', label: 'Instructor' }
+  ] },
+  { type: 'text', id: 'alarm-banner', className: 'alarm-banner' },
+  { type: 'columns', children: [
+    { type: 'column', className: 'settings-column', children: [
+      { type: 'section', title: 'Ventilator Settings', id: 'ventilator-controls', children: [
+        { type: 'controls', controls: VENTILATOR_CONTROLS },
+        { type: 'list', id: 'settings-warnings', className: 'settings-warnings' },
+        { type: 'toolbar', children: [
+          { type: 'button', id: 'settings-confirm-button', label: 'Confirm' },
+          { type: 'button', id: 'settings-cancel-button', label: 'Cancel' }
+        ] }
+      ] },
+      { type: 'section', title: 'Patient', id: 'patient-controls', children: [
+        { type: 'presets', presets: BODY_SIZE_PRESETS },
+        { type: 'presets', presets: PATIENT_PRESETS },
+        { type: 'text', id: 'custom-presets', className: 'toolbar presets' },
+        { type: 'toolbar', children: [
+          { type: 'input', id: 'custom-preset-name', placeholder: 'Preset name' },
+          { type: 'button', id: 'custom-preset-save-button', label: 'Save Preset' }
+        ] },
+        { type: 'text', id: 'patient-summary', className: 'patient-summary' },
+        { type: 'controls', controls: PATIENT_CONTROLS }
+      ] }
+    ] },
+    { type: 'column', className: 'display-column', children: [
+      { type: 'section', title: 'Waveforms', id: 'waveform-area', children: [
+        { type: 'toolbar', children: [
+          { type: 'select', id: 'time-scale-control', label: 'Time', value: '10', options: [
+            { value: '5', label: '5 s' },
+            { value: '10', label: '10 s' },
+            { value: '15', label: '15 s' },
+            { value: '20', label: '20 s' },
+            { value: '30', label: '30 s' }
+          ] },
+          { type: 'button', id: 'freeze-button', label: 'Freeze' },
+          { type: 'button', id: 'zoom-reset-button', label: 'Reset Zoom' },
+          { type: 'text', id: 'cursor-readout', className: 'cursor-readout', tag: 'span' }
+        ] },
+        { type: 'text', id: 'waveform-scale-controls', className: 'toolbar' },
+        { type: 'canvas', id: 'pressure-canvas', className: 'waveform-container' },
+        { type: 'canvas', id: 'volume-canvas', className: 'waveform-container' },
+        { type: 'canvas', id: 'flow-canvas', className: 'waveform-container' },
+        { type: 'canvas', id: 'co2-canvas', className: 'waveform-container' }
+      ] },
+      { type: 'section', title: 'Loops', id: 'loop-area', children: [
+        { type: 'toolbar', children: [
+          { type: 'button', id: 'loop-reference-button', label: 'Set Reference' },
+          { type: 'button', id: 'loop-clear-reference-button', label: 'Clear Reference' }
+        ] },
+        { type: 'row', children: [
+          { type: 'canvas', id: 'pv-loop-canvas', className: 'loop-container' },
+          { type: 'canvas', id: 'fv-loop-canvas', className: 'loop-container' }
+        ] }
+      ] },
+      { type: 'section', title: 'Regional Ventilation', id: 'regional-area', children: [
+        { type: 'text', id: 'regional-summary', className: 'regional-summary' },
+        { type: 'canvas', id: 'regional-canvas', className: 'regional-container' }
+      ] }
+    ] },
+    { type: 'column', className: 'monitor-column', children: [
+      { type: 'section', title: 'Monitoring', id: 'numerics-area', children: [
+        { type: 'text', id: 'numerics-panel', className: 'numerics-panel' }
+      ] },
+      { type: 'section', title: 'Alarms', id: 'alarm-area', children: [
+        { type: 'toolbar', children: [
+          { type: 'button', id: 'alarm-silence-button', label: 'Audio Pause' },
+          { type: 'button', id: 'alarm-reset-button', label: 'Alarm Reset' }
+        ] },
+        { type: 'list', id: 'alarm-list' },
+        { type: 'text', id: 'alarm-limits-panel', className: 'alarm-limits' },
+        { type: 'list', id: 'alarm-log', className: 'log' }
+      ] },
+      { type: 'section', title: 'Scenario', id: 'scenario-area', children: [
+        { type: 'file', id: 'scenario-file', label: 'Load Scenario', accept: '.json,application/json' },
+        { type: 'button', id: 'scenario-start-button', label: 'Start Scenario' },
+        { type: 'text', id: 'scenario-status', text: 'No scenario loaded' },
+        { type: 'list', id: 'scenario-log', className: 'log' }
+      ] },
+      { type: 'section', title: 'Session', id: 'session-area', children: [
+        { type: 'toolbar', children: [
+          { type: 'button', id: 'record-button', label: 'Stop Recording' },
+          { type: 'button', id: 'session-export-button', label: 'Export' },
+          { type: 'button', id: 'replay-button', label: 'Replay' }
+        ] },
+        { type: 'file', id: 'session-import-file', label: 'Load Session', accept: '.json,application/json' },
+        { type: 'toolbar', children: [
+          { type: 'button', id: 'share-button', label: 'Share Link' },
+          { type: 'button', id: 'default-settings-button', label: 'Default Settings' }
+        ] },
+        { type: 'input', id: 'share-link', className: 'share-link', placeholder: 'Share link', readOnly: true },
+        { type: 'panel', id: 'replay-panel', hidden: true, children: [
+          { type: 'toolbar', children: [
+            { type: 'button', id: 'replay-play-button', label: 'Play' },
+            { type: 'select', id: 'replay-speed', label: 'Speed', options: [] },
+            { type: 'button', id: 'replay-exit-button', label: 'Exit Replay' }
+          ] },
+          { type: 'slider', id: 'replay-seek' },
+          { type: 'text', id: 'replay-time' },
+          { type: 'text', id: 'replay-settings' },
+          { type: 'list', id: 'replay-log', className: 'log' }
+        ] }
+      ] }
+    ] }
+  ] }
+];
+
+// Builders for each component type
+const COMPONENT_BUILDERS = {
+  header: createHeader,
+  columns: component => createContainer(component, 'ventilator-columns'),
+  column: component => createContainer(component, 'ventilator-column'),
+  section: createSection,
+  panel: component => createContainer(component, 'ventilator-panel'),
+  toolbar: component => createContainer(component, 'toolbar'),
+  row: component => createContainer(component, 'ventilator-row'),
+  button: createButton,
+  select: createSelect,
+  slider: createSlider,
+  file: createFileInput,
+  input: createInput,
+  text: createText,
+  list: createList,
+  canvas: createCanvas,
+  controls: createControls,
+  presets: createPresets
+};
+
+// Build the screen into #app (or the body)
+function buildLayout(root) {
+  const container = root || document.getElementById('app') || document.body;
+  container.innerHTML = '';
+  SCREEN_LAYOUT.forEach(component => {
+    container.appendChild(createComponent(component));
+  });
+}
+
+// Build one component and its children
+function createComponent(component) {
+  const builder = COMPONENT_BUILDERS[component.type];
+  if (!builder) {
+    throw new Error('Unknown layout component: ' + component.type);
+  }
+  return builder(component);
+}
+
+// Helper function to build a component's children into an element
+function appendChildren(element, children) {
+  (children || []).forEach(child => {
+    element.appendChild(createComponent(child));
+  });
+  return element;
+}
+
+function createHeader(component) {
+  const header = document.createElement('header');
+  header.className = 'ventilator-header';
+  
+  const title = document.createElement('h1');
+  title.textContent = component.title;
+  header.appendChild(title);
+  
+  const toolbar = document.createElement('div');
+  toolbar.className = 'toolbar';
+  header.appendChild(appendChildren(toolbar, component.children));
+  return header;
+}
+
+// Helper function to create a plain container with a class
+function createContainer(component, className) {
+  const container = document.createElement('div');
+  container.className = className + (component.className ? ' ' + component.className : '');
+  if (component.id) container.id = component.id;
+  if (component.hidden) container.style.display = 'none';
+  return appendChildren(container, component.children);
+}
+
+// A titled section; the id goes on the section so it can be hidden as a whole
+function createSection(component) {
+  const section = document.createElement('section');
+  section.className = 'ventilator-section';
+  if (component.id) section.id = component.id;
+  
+  const heading = document.createElement('h2');
+  heading.textContent = component.title;
+  section.appendChild(heading);
+  
+  return appendChildren(section, component.children);
+}
+
+function createButton(component) {
+  const button = document.createElement('button');
+  button.id = component.id;
+  button.textContent = component.label;
+  return button;
+}
+
+// A labelled select; options may be left empty for the owning module to fill
+function createSelect(component) {
+  const label = document.createElement('label');
+  label.className = 'select-control';
+  label.textContent = component.label + ' ';
+  
+  const select = document.createElement('select');
+  select.id = component.id;
+  component.options.forEach(option => {
+    const element = document.createElement('option');
+    element.value = option.value;
+    element.textContent = option.label;
+    select.appendChild(element);
+  });
+  if (component.value !== undefined) select.value = component.value;
+  
+  label.appendChild(select);
+  return label;
+}
+
+// A bare range input whose owning module sets the range
+function createSlider(component) {
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.id = component.id;
+  slider.className = 'slider';
+  return slider;
+}
+
+function createFileInput(component) {
+  const label = document.createElement('label');
+  label.className = 'file-control';
+  label.textContent = component.label + ' ';
+  
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.id = component.id;
+  if (component.accept) input.accept = component.accept;
+  
+  label.appendChild(input);
+  return label;
+}
+
+// A text field, e.g. for a name or a link to copy
+function createInput(component) {
+  const input = document.createElement('input');
+  input.type = 'text';
+  input.id = component.id;
+  if (component.className) input.className = component.className;
+  if (component.placeholder) input.placeholder = component.placeholder;
+  if (component.readOnly) input.readOnly = true;
+  return input;
+}
+
+// An element for a module to fill with text or content
+function createText(component) {
+  const element = document.createElement(component.tag || 'div');
+  element.id = component.id;
+  if (component.className) element.className = component.className;
+  if (component.text) element.textContent = component.text;
+  return element;
+}
+
+function createList(component) {
+  const list = document.createElement('ul');
+  list.id = component.id;
+  if (component.className) list.className = component.className;
+  return list;
+}
+
+// A canvas inside a container; the display modules size the canvas to the container
+function createCanvas(component) {
+  const container = document.createElement('div');
+  container.className = component.className;
+  
+  const canvas = document.createElement('canvas');
+  canvas.id = component.id;
+  container.appendChild(canvas);
+  return container;
+}
+
+// The settings or patient controls, with grouped controls in their own wrappers
+function createControls(component) {
+  const container = document.createElement('div');
+  container.className = 'control-list';
+  const groups = {};
+  
+  component.controls.forEach(control => {
+    const element = createControl(control);
+    
+    if (!control.group) {
+      container.appendChild(element);
+      return;
+    }
+    if (!groups[control.group]) {
+      groups[control.group] = document.createElement('div');
+      groups[control.group].id = control.group;
+      groups[control.group].className = 'control-group';
+      container.appendChild(groups[control.group]);
+    }
+    groups[control.group].appendChild(element);
+  });
+  
+  return container;
+}
+
+// Helper function to create a control with room for its inline warning
+function createControl(control) {
+  const wrapper = document.createElement('div');
+  wrapper.className = 'control';
+  wrapper.id = control.id + '-row';
+  
+  wrapper.appendChild(control.type === 'select' ? createSelect(control) : createRangeControl(control));
+  
+  if (control.perKg) {
+    const perKg = document.createElement('div');
+    perKg.className = 'control-per-kg';
+    perKg.id = control.id + '-per-kg';
+    wrapper.appendChild(perKg);
+  }
+  
+  const warning = document.createElement('div');
+  warning.className = 'control-warning';
+  warning.id = control.id + '-warning';
+  wrapper.appendChild(warning);
+  return wrapper;
+}
+
+// Helper function to create a labelled slider with its value and unit
+function createRangeControl(control) {
+  const row = document.createElement('div');
+  row.className = 'range-control';
+  
+  const label = document.createElement('label');
+  label.htmlFor = control.id + '-control';
+  label.textContent = control.label;
+  
+  const slider = document.createElement('input');
+  slider.type = 'range';
+  slider.id = control.id + '-control';
+  slider.min = control.min;
+  slider.max = control.max;
+  slider.step = control.step;
+  
+  const value = document.createElement('span');
+  value.className = 'control-value';
+  value.id = control.id + '-value';
+  value.textContent = '--';
+  
+  const unit = document.createElement('span');
+  unit.className = 'control-unit';
+  unit.textContent = control.unit;
+  
+  row.appendChild(label);
+  row.appendChild(slider);
+  row.appendChild(value);
+  row.appendChild(unit);
+  return row;
+}
+
+function createPresets(component) {
+  const container = document.createElement('div');
+  container.className = 'toolbar presets';
+  component.presets.forEach(preset => {
+    container.appendChild(createButton(preset));
+  });
+  return container;
+}
+
+// Helper function to complete control entries from a settings store section:
+// enums become selects and numbers become sliders over their control range
+function defineControls(section, controls) {
+  const schema = window.SettingsStore.getSchema(section);
+  return controls.map(control => ({
+    ...schema[control.key],
+    ...control,
+    type: schema[control.key].type === 'enum' ? 'select' : 'range'
+  }));
+}
+
+// Get the control schema for 'ventilator' or 'patient'
+function getControls(panel) {
+  return panel === 'ventilator' ? VENTILATOR_CONTROLS : PATIENT_CONTROLS;
+}
+
+// Get every preset button: body sizes and conditions
+function getPresets() {
+  return BODY_SIZE_PRESETS.concat(PATIENT_PRESETS);
+}
+
+// Export functions
+window.UILayout = {
+  build: buildLayout,
+  getControls: getControls,
+  getPresets: getPresets
+};
+
+// Build on load, before the other modules' load handlers look for their elements
+document.addEventListener('DOMContentLoaded', function() {
+  buildLayout();
+});
\ No newline at end of file
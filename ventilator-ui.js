@@ -3,39 +3,34 @@
 // Reference to the callback function for settings updates
 let updateSettingsCallback = null;
 
-// Current settings
-let ventilatorSettings = {
-  mode: 'PCV',          // Pressure Control Ventilation
-  peep: 5,              // Positive End-Expiratory Pressure (cmH2O)
-  pip: 20,              // Peak Inspiratory Pressure (cmH2O)
-  rate: 15,             // Respiratory Rate (breaths/min)
-  ieRatio: 0.5,         // I:E Ratio (1:2)
-  tidalVolume: 500,     // Tidal Volume (mL)
-  fio2: 40,             // Fraction of Inspired Oxygen (%)
-  triggerSensitivity: 2 // Trigger Sensitivity (cmH2O)
-};
-
-let patientParameters = {
-  compliance: 50,       // Lung Compliance (mL/cmH2O)
-  resistance: 10,       // Airway Resistance (cmH2O·s/L)
-  lungModel: 'normal'   // Patient condition: normal, ards, copd, asthma
-};
+// Ventilator settings changed on the controls but not yet confirmed; the
+// applied settings and patient parameters are read from the settings store
+let pendingSettings = {};
 
 // Initialize the user interface
-function initializeUI(initialVentSettings, initialPatientParams, callback) {
+function initializeUI(callback) {
   console.log('Ventilator UI Initializing...');
   
+  if (!window.UILayout) {
+    console.error('UI Layout not loaded!');
+  }
+  if (!window.SettingsStore) {
+    console.error('Settings Store not loaded!');
+    return;
+  }
+  
   // Store the callback function
   updateSettingsCallback = callback;
   
-  // Initialize with provided settings or use defaults
-  if (initialVentSettings) ventilatorSettings = {...ventilatorSettings, ...initialVentSettings};
-  if (initialPatientParams) patientParameters = {...patientParameters, ...initialPatientParams};
+  // Follow changes from anywhere: the controls, a scenario or the instructor
+  window.SettingsStore.subscribe(handleSettingsChange);
   
   // Set up UI controls
   setupVentilatorControls();
   setupPatientControls();
   setupPresetButtons();
+  setupCustomPresets();
+  setupConfirmControls();
   
   // Update UI to reflect initial settings
   updateUIFromSettings();
@@ -43,103 +38,48 @@ function initializeUI(initialVentSettings, initialPatientParams, callback) {
   console.log('Ventilator UI Initialized');
 }
 
-// Set up ventilator control elements
+// Set up ventilator control elements from the layout's control schema
 function setupVentilatorControls() {
-  // Mode selector
-  const modeSelector = document.getElementById('ventilator-mode');
-  if (modeSelector) {
-    modeSelector.addEventListener('change', function(e) {
-      updateSetting('mode', e.target.value);
-      updateModeSpecificControls(e.target.value);
-    });
-  }
-  
-  // PEEP control
-  setupRangeControl('peep-control', 'peep-value', 0, 20, 1, ventilatorSettings.peep, function(value) {
-    updateSetting('peep', parseFloat(value));
-  });
-  
-  // PIP control
-  setupRangeControl('pip-control', 'pip-value', 5, 40, 1, ventilatorSettings.pip, function(value) {
-    updateSetting('pip', parseFloat(value));
-  });
-  
-  // Respiratory Rate control
-  setupRangeControl('rate-control', 'rate-value', 8, 30, 1, ventilatorSettings.rate, function(value) {
-    updateSetting('rate', parseFloat(value));
-  });
-  
-  // I:E Ratio control
-  setupRangeControl('ie-ratio-control', 'ie-ratio-value', 0.25, 1, 0.05, ventilatorSettings.ieRatio, function(value) {
-    updateSetting('ieRatio', parseFloat(value));
-  });
-  
-  // Tidal Volume control
-  setupRangeControl('tidal-volume-control', 'tidal-volume-value', 200, 800, 10, ventilatorSettings.tidalVolume, function(value) {
-    updateSetting('tidalVolume', parseFloat(value));
-  });
-  
-  // FiO2 control
-  setupRangeControl('fio2-control', 'fio2-value', 21, 100, 1, ventilatorSettings.fio2, function(value) {
-    updateSetting('fio2', parseFloat(value));
-  });
-  
-  // Trigger Sensitivity control
-  setupRangeControl('trigger-control', 'trigger-value', 0.5, 5, 0.1, ventilatorSettings.triggerSensitivity, function(value) {
-    updateSetting('triggerSensitivity', parseFloat(value));
+  getControlSchema('ventilator').forEach(control => {
+    setupSchemaControl(control, getSettings('ventilator'), updateSetting);
   });
 }
 
 // Set up patient parameter controls
 function setupPatientControls() {
-  // Compliance control
-  setupRangeControl('compliance-control', 'compliance-value', 10, 100, 1, patientParameters.compliance, function(value) {
-    updatePatientParam('compliance', parseFloat(value));
-  });
-  
-  // Resistance control
-  setupRangeControl('resistance-control', 'resistance-value', 1, 25, 0.5, patientParameters.resistance, function(value) {
-    updatePatientParam('resistance', parseFloat(value));
+  getControlSchema('patient').forEach(control => {
+    setupSchemaControl(control, getSettings('patient'), updatePatientParam);
   });
-  
-  // Lung model selector
-  const modelSelector = document.getElementById('lung-model');
-  if (modelSelector) {
-    modelSelector.addEventListener('change', function(e) {
-      updatePatientParam('lungModel', e.target.value);
-    });
-  }
 }
 
 // Set up preset condition buttons
 function setupPresetButtons() {
-  // Normal preset
-  setupPresetButton('normal-preset', {
-    compliance: 50,
-    resistance: 10,
-    lungModel: 'normal'
-  });
-  
-  // ARDS preset
-  setupPresetButton('ards-preset', {
-    compliance: 20,
-    resistance: 15,
-    lungModel: 'ards'
-  });
-  
-  // COPD preset
-  setupPresetButton('copd-preset', {
-    compliance: 80,
-    resistance: 20,
-    lungModel: 'copd'
+  const presets = window.UILayout ? window.UILayout.getPresets() : [];
+  presets.forEach(preset => {
+    setupPresetButton(preset);
   });
+}
+
+// Helper function to get the controls of one panel
+function getControlSchema(panel) {
+  return window.UILayout ? window.UILayout.getControls(panel) : [];
+}
+
+// Helper function to wire one schema control to its setting
+function setupSchemaControl(control, values, update) {
+  if (control.type === 'range') {
+    setupRangeControl(control.id + '-control', control.id + '-value', control.min, control.max, control.step, values[control.key], function(value) {
+      update(control.key, parseFloat(value));
+    });
+    return;
+  }
   
-  // Asthma preset
-  setupPresetButton('asthma-preset', {
-    compliance: 40,
-    resistance: 25,
-    lungModel: 'asthma'
-  });
+  const selector = document.getElementById(control.id);
+  if (selector) {
+    selector.addEventListener('change', function(e) {
+      update(control.key, e.target.value);
+    });
+  }
 }
 
 // Helper function to set up range controls
@@ -164,59 +104,267 @@ function setupRangeControl(sliderId, valueId, min, max, step, initialValue, call
   }
 }
 
-// Helper function to set up preset buttons
-function setupPresetButton(buttonId, presetValues) {
-  const button = document.getElementById(buttonId);
-  if (button) {
+// Helper function to set up preset buttons. A body size keeps the lung
+// condition and a condition keeps the body size; either way the lungs and the
+// recommended settings are scaled to the patient.
+function setupPresetButton(preset) {
+  const button = document.getElementById(preset.id);
+  if (button && window.PatientDemographics) {
     button.addEventListener('click', function() {
-      // Update patient parameters
-      Object.keys(presetValues).forEach(key => {
-        updatePatientParam(key, presetValues[key]);
-      });
-      
-      // Update UI controls to match preset values
-      updateUIFromSettings();
+      const demographics = preset.bodySize ? window.PatientDemographics.getBodySize(preset.bodySize) : {};
+      const patient = {...getSettings('patient'), ...demographics};
+      const presetSettings = window.PatientDemographics.getPresetSettings(preset.condition || patient.lungModel, patient);
+      applyPreset({...demographics, ...presetSettings.patient}, presetSettings.ventilator);
     });
   }
 }
 
-// Update ventilator settings and notify callback
+// Set up saving the current patient and settings as a named preset
+function setupCustomPresets() {
+  const nameInput = document.getElementById('custom-preset-name');
+  const saveButton = document.getElementById('custom-preset-save-button');
+  if (nameInput && saveButton && window.ConfigStorage) {
+    saveButton.addEventListener('click', function() {
+      const name = nameInput.value.trim();
+      if (!name) return;
+      window.ConfigStorage.saveCustomPreset(name);
+      nameInput.value = '';
+    });
+  }
+  
+  document.addEventListener('custom-presets-changed', renderCustomPresets);
+  renderCustomPresets();
+}
+
+// Show a button for each custom preset, with one to delete it
+function renderCustomPresets() {
+  const container = document.getElementById('custom-presets');
+  if (!container || !window.ConfigStorage) return;
+  container.innerHTML = '';
+  
+  window.ConfigStorage.getCustomPresets().forEach(preset => {
+    const applyButton = document.createElement('button');
+    applyButton.textContent = preset.name;
+    applyButton.addEventListener('click', function() {
+      applyPreset(preset.patientParameters, preset.ventilatorSettings);
+    });
+    
+    const deleteButton = document.createElement('button');
+    deleteButton.textContent = '×';
+    deleteButton.title = 'Delete ' + preset.name;
+    deleteButton.addEventListener('click', function() {
+      window.ConfigStorage.removeCustomPreset(preset.name);
+    });
+    
+    container.appendChild(applyButton);
+    container.appendChild(deleteButton);
+  });
+}
+
+// Apply a preset: the patient changes straight away, in one change so the
+// lungs are rebuilt once, and the ventilator settings wait for confirmation
+// like any other change
+function applyPreset(patientValues, ventilatorValues) {
+  if (updateSettingsCallback) {
+    updateSettingsCallback({...patientValues}, 'patient');
+  }
+  
+  Object.keys(ventilatorValues).forEach(key => {
+    updateSetting(key, ventilatorValues[key]);
+  });
+  updateUIFromSettings();
+}
+
+// Set up the buttons that apply or discard pending settings
+function setupConfirmControls() {
+  const confirmButton = document.getElementById('settings-confirm-button');
+  if (confirmButton) {
+    confirmButton.addEventListener('click', confirmSettings);
+  }
+  
+  const cancelButton = document.getElementById('settings-cancel-button');
+  if (cancelButton) {
+    cancelButton.addEventListener('click', cancelSettings);
+  }
+}
+
+// Hold a ventilator setting change until it is confirmed, as a real ventilator does
 function updateSetting(key, value) {
-  ventilatorSettings[key] = value;
+  if (value === getSettings('ventilator')[key]) {
+    delete pendingSettings[key];
+  } else {
+    pendingSettings[key] = value;
+  }
+  showSettingsState();
+}
+
+// Apply the pending settings, unless they break an interlock
+function confirmSettings() {
+  if (Object.keys(pendingSettings).length === 0) return;
+  if (!validateDisplayedSettings().valid) {
+    showSettingsState();
+    return;
+  }
+  
+  // Only the changed settings are sent; the store tells the controls once applied
+  const changes = pendingSettings;
+  pendingSettings = {};
+  showSettingsState();
+  
   if (updateSettingsCallback) {
-    updateSettingsCallback(ventilatorSettings, 'ventilator');
+    updateSettingsCallback(changes, 'ventilator');
   }
 }
 
-// Update patient parameters and notify callback
+// Discard the pending settings and show the applied ones again
+function cancelSettings() {
+  pendingSettings = {};
+  updateUIFromSettings();
+}
+
+// Update patient parameters and notify callback; the patient changes straight away
 function updatePatientParam(key, value) {
-  patientParameters[key] = value;
   if (updateSettingsCallback) {
-    updateSettingsCallback(patientParameters, 'patient');
+    updateSettingsCallback({ [key]: value }, 'patient');
   }
 }
 
+// Show settings as they change in the store. An outside change replaces what
+// the user had pending for the same setting.
+function handleSettingsChange(diff) {
+  Object.keys(diff.ventilator || {}).forEach(key => delete pendingSettings[key]);
+  updateUIFromSettings();
+}
+
+// Helper function to get the applied ventilator settings or patient parameters
+function getSettings(type) {
+  return window.SettingsStore.get(type);
+}
+
+// Settings as shown on the controls: applied values with pending changes on top
+function getDisplayedSettings() {
+  return {...getSettings('ventilator'), ...pendingSettings};
+}
+
+// Helper function to check the displayed settings
+function validateDisplayedSettings() {
+  if (!window.SettingsValidator) return { valid: true, issues: [] };
+  return window.SettingsValidator.validate(getDisplayedSettings(), getSettings('patient'));
+}
+
+// Highlight pending values, show warnings next to their controls and
+// only allow confirming valid changes
+function showSettingsState() {
+  const validation = validateDisplayedSettings();
+  const pendingCount = Object.keys(pendingSettings).length;
+  
+  getControlSchema('ventilator').forEach(control => {
+    const row = document.getElementById(control.id + '-row');
+    if (row) row.className = 'control' + (control.key in pendingSettings ? ' pending' : '');
+    
+    const warning = document.getElementById(control.id + '-warning');
+    if (warning) {
+      const issues = validation.issues.filter(issue => issue.key === control.key);
+      const hasError = issues.some(issue => issue.severity === 'error');
+      warning.textContent = issues.map(issue => issue.message).join('; ');
+      warning.className = 'control-warning' + (issues.length ? (hasError ? ' warning-error' : ' warning-warning') : '');
+    }
+  });
+  
+  const warningList = document.getElementById('settings-warnings');
+  if (warningList) {
+    warningList.innerHTML = '';
+    validation.issues.forEach(issue => {
+      const item = document.createElement('li');
+      item.className = 'warning-' + issue.severity;
+      item.textContent = issue.message;
+      warningList.appendChild(item);
+    });
+  }
+  
+  const confirmButton = document.getElementById('settings-confirm-button');
+  if (confirmButton) {
+    confirmButton.disabled = pendingCount === 0 || !validation.valid;
+    confirmButton.textContent = pendingCount > 0 ? `Confirm (${pendingCount})` : 'Confirm';
+  }
+  
+  const cancelButton = document.getElementById('settings-cancel-button');
+  if (cancelButton) cancelButton.disabled = pendingCount === 0;
+  
+  const displayed = getDisplayedSettings();
+  updatePerKgDisplays(displayed);
+  
+  // Mode and trigger type decide which other controls are shown
+  updateModeSpecificControls(displayed.mode);
+  updateTriggerControls(displayed.triggerType);
+}
+
 // Update UI controls to match current settings
 function updateUIFromSettings() {
-  // Update ventilator control displays
-  updateRangeControl('peep-control', 'peep-value', ventilatorSettings.peep);
-  updateRangeControl('pip-control', 'pip-value', ventilatorSettings.pip);
-  updateRangeControl('rate-control', 'rate-value', ventilatorSettings.rate);
-  updateRangeControl('ie-ratio-control', 'ie-ratio-value', ventilatorSettings.ieRatio);
-  updateRangeControl('tidal-volume-control', 'tidal-volume-value', ventilatorSettings.tidalVolume);
-  updateRangeControl('fio2-control', 'fio2-value', ventilatorSettings.fio2);
-  updateRangeControl('trigger-control', 'trigger-value', ventilatorSettings.triggerSensitivity);
+  // Slider ranges follow the patient's age group
+  updateControlRanges();
+  updatePatientSummary();
   
-  // Update patient parameter displays
-  updateRangeControl('compliance-control', 'compliance-value', patientParameters.compliance);
-  updateRangeControl('resistance-control', 'resistance-value', patientParameters.resistance);
+  // Update control displays; pending changes stay on the controls until confirmed or cancelled
+  const displayed = getDisplayedSettings();
+  getControlSchema('ventilator').forEach(control => {
+    updateSchemaControl(control, displayed[control.key]);
+  });
+  const patientParameters = getSettings('patient');
+  getControlSchema('patient').forEach(control => {
+    updateSchemaControl(control, patientParameters[control.key]);
+  });
   
-  // Update select elements
-  updateSelectControl('ventilator-mode', ventilatorSettings.mode);
-  updateSelectControl('lung-model', patientParameters.lungModel);
+  // Update pending highlights, warnings and mode-specific controls
+  showSettingsState();
+}
+
+// Set each slider's range for the patient's age group
+function updateControlRanges() {
+  if (!window.PatientDemographics) return;
   
-  // Update mode-specific controls
-  updateModeSpecificControls(ventilatorSettings.mode);
+  const ageGroup = window.PatientDemographics.getAgeGroup(getSettings('patient'));
+  getControlSchema('ventilator').concat(getControlSchema('patient')).forEach(control => {
+    const slider = document.getElementById(control.id + '-control');
+    if (control.type !== 'range' || !slider) return;
+    
+    const range = window.PatientDemographics.getControlRange(control, ageGroup);
+    slider.min = range.min;
+    slider.max = range.max;
+    slider.step = range.step;
+  });
+}
+
+// Show the patient's age group and ideal body weight
+function updatePatientSummary() {
+  const summary = document.getElementById('patient-summary');
+  if (!summary || !window.PatientDemographics) return;
+  
+  const patient = getSettings('patient');
+  summary.textContent = `${window.PatientDemographics.getAgeGroupLabel(patient)} | ` +
+    `IBW ${window.PatientDemographics.getIdealBodyWeight(patient).toFixed(1)} kg`;
+}
+
+// Show settings per kg of ideal body weight, e.g. tidal volume in mL/kg
+function updatePerKgDisplays(displayed) {
+  if (!window.PatientDemographics) return;
+  
+  const idealBodyWeight = window.PatientDemographics.getIdealBodyWeight(getSettings('patient'));
+  getControlSchema('ventilator').forEach(control => {
+    const display = document.getElementById(control.id + '-per-kg');
+    if (control.perKg && display) {
+      display.textContent = `${(displayed[control.key] / idealBodyWeight).toFixed(1)} ${control.unit}/kg IBW`;
+    }
+  });
+}
+
+// Helper function to update a schema control
+function updateSchemaControl(control, value) {
+  if (control.type === 'range') {
+    updateRangeControl(control.id + '-control', control.id + '-value', value);
+  } else {
+    updateSelectControl(control.id, value);
+  }
 }
 
 // Helper function to update range control UI
@@ -225,7 +373,8 @@ function updateRangeControl(sliderId, valueId, value) {
   const valueDisplay = document.getElementById(valueId);
   
   if (slider) slider.value = value;
-  if (valueDisplay) valueDisplay.textContent = value;
+  // Settings changed gradually (e.g. by a scenario) are not on the slider step
+  if (valueDisplay) valueDisplay.textContent = typeof value === 'number' ? +value.toFixed(2) : value;
 }
 
 // Helper function to update select control UI
@@ -238,25 +387,47 @@ function updateSelectControl(selectId, value) {
 function updateModeSpecificControls(mode) {
   const pipControls = document.getElementById('pip-controls');
   const tidalVolumeControls = document.getElementById('tidal-volume-controls');
+  const pressureSupportControls = document.getElementById('pressure-support-controls');
   
   if (pipControls && tidalVolumeControls) {
     if (mode === 'PCV') {
       // Pressure Control Mode
       pipControls.style.display = 'block';
       tidalVolumeControls.style.display = 'none';
-    } else if (mode === 'VCV') {
-      // Volume Control Mode
+    } else if (mode === 'VCV' || mode === 'SIMV') {
+      // Volume Control Mode (SIMV mandatory breaths are volume controlled)
       pipControls.style.display = 'none';
       tidalVolumeControls.style.display = 'block';
+    } else if (mode === 'PSV') {
+      // Pressure Support Mode has no mandatory breaths
+      pipControls.style.display = 'none';
+      tidalVolumeControls.style.display = 'none';
     } else {
       // Other modes
       pipControls.style.display = 'block';
       tidalVolumeControls.style.display = 'block';
     }
   }
+  
+  if (pressureSupportControls) {
+    // Spontaneous breaths are pressure supported in PSV and SIMV
+    pressureSupportControls.style.display = (mode === 'PSV' || mode === 'SIMV') ? 'block' : 'none';
+  }
+}
+
+// Show the sensitivity control that matches the trigger type
+function updateTriggerControls(triggerType) {
+  const pressureTriggerControls = document.getElementById('pressure-trigger-controls');
+  const flowTriggerControls = document.getElementById('flow-trigger-controls');
+  
+  if (pressureTriggerControls && flowTriggerControls) {
+    pressureTriggerControls.style.display = triggerType === 'flow' ? 'none' : 'block';
+    flowTriggerControls.style.display = triggerType === 'flow' ? 'block' : 'none';
+  }
 }
 
 // Export functions
 window.VentilatorUI = {
-  initialize: initializeUI
+  initialize: initializeUI,
+  applyPreset: applyPreset
 };
\ No newline at end of file
@@ -0,0 +1,231 @@
+#!/usr/bin/env node
+// ventsim-cli.js - Complete replacement file
+//
+// Runs the simulation headless for a number of breaths and writes the time
+// series and per-breath measurements to CSV or JSON.
+//
+// Usage:
+//   node ventsim-cli.js [--config file.json] [--scenario file.json] [--breaths 20]
+//                       [--seed 1] [--interval 20] [--format csv|json] [--out prefix]
+//
+// The model and the breath measurements always run at a fine fixed step;
+// --interval only sets how often a time series row is kept.
+//
+// The config file holds { "ventilatorSettings": {...}, "patientParameters": {...}, "seed": 1 },
+// any of which may be left out to use the defaults. A scenario (see scenarios/)
+// runs its timeline on top of the config.
+
+const fs = require('fs');
+const path = require('path');
+const SimulationCore = require('./simulation-core.js');
+const BreathMonitor = require('./breath-monitor.js');
+const ScenarioEngine = require('./scenario-engine.js');
+const { toCSV } = require('./session-recorder.js');
+
+// Defaults, matching the settings the app starts with
+const DEFAULT_OPTIONS = {
+  config: null,      // Path to a JSON configuration file
+  scenario: null,    // Path to a JSON scenario file
+  breaths: 20,       // Number of completed breaths to record
+  seed: null,        // Seed for the lung units, overriding the config file
+  interval: 20,      // Time series sample interval (ms)
+  format: 'csv',     // Output format: csv, json
+  out: null          // Output file prefix; without it per-breath CSV, or the JSON, goes to stdout
+};
+
+const NUMERIC_OPTIONS = ['breaths', 'seed', 'interval'];
+const DEFAULT_SEED = 1;
+
+// Step of the model and the breath monitor, whatever the output interval (ms)
+const SIMULATION_STEP = 5;
+
+// Give up if a breath takes this long, e.g. an apneic patient in PSV
+const MAX_BREATH_TIME = 60000; // ms
+
+const TIME_SERIES_COLUMNS = [
+  'time', 'breathPhase', 'breathType', 'pressure', 'volume', 'flow',
+  'musclePressure', 'co2', 'spo2', 'pao2', 'paco2', 'etco2', 'shuntFraction'
+];
+
+const EVENT_COLUMNS = ['time', 'type', 'message'];
+
+const BREATH_COLUMNS = [
+  'time', 'breathType', 'peakPressure', 'meanPressure', 'peep',
+  'inspiredTidalVolume', 'expiredTidalVolume', 'minuteVentilation', 'rate',
+  'inspiratoryTime', 'expiratoryTime', 'ieRatio', 'dynamicCompliance'
+];
+
+// Parse --name value pairs into an options object
+function parseArguments(args) {
+  const options = {...DEFAULT_OPTIONS};
+  
+  for (let i = 0; i < args.length; i++) {
+    const name = args[i].replace(/^--/, '');
+    if (name === 'help') {
+      options.help = true;
+      continue;
+    }
+    if (!(name in DEFAULT_OPTIONS) || i + 1 >= args.length) {
+      throw new Error(`Unknown or incomplete option: ${args[i]}`);
+    }
+    
+    const value = args[++i];
+    options[name] = NUMERIC_OPTIONS.includes(name) ? parseFloat(value) : value;
+  }
+  
+  if (!(options.breaths > 0) || !(options.interval > 0)) {
+    throw new Error('--breaths and --interval must be positive numbers');
+  }
+  if (options.seed !== null && isNaN(options.seed)) {
+    throw new Error('--seed must be a number');
+  }
+  if (options.format !== 'csv' && options.format !== 'json') {
+    throw new Error(`Unknown format: ${options.format}`);
+  }
+  
+  return options;
+}
+
+// Read the settings and patient configuration
+function loadConfiguration(options) {
+  if (!options.config) return {};
+  return JSON.parse(fs.readFileSync(options.config, 'utf8'));
+}
+
+// Read the scenario, if any
+function loadScenarioFile(options) {
+  if (!options.scenario) return null;
+  const scenario = JSON.parse(fs.readFileSync(options.scenario, 'utf8'));
+  ScenarioEngine.validate(scenario);
+  return scenario;
+}
+
+// Run the simulation until the requested number of breaths has completed
+function runExperiment(config, options, scenario) {
+  let seed = DEFAULT_SEED;
+  if (options.seed !== null) {
+    seed = options.seed;
+  } else if (config.seed !== undefined) {
+    seed = config.seed;
+  }
+  SimulationCore.initialize(config.ventilatorSettings, config.patientParameters, { seed: seed, logging: false });
+  BreathMonitor.reset();
+  
+  ScenarioEngine.initialize({ simulation: SimulationCore });
+  if (scenario) {
+    ScenarioEngine.load(scenario);
+    ScenarioEngine.start();
+  }
+  
+  const timeSeries = [];
+  const breaths = [];
+  let lastBreathTime = 0;
+  let nextSampleTime = options.interval;
+  
+  while (breaths.length < options.breaths) {
+    const sample = SimulationCore.step(SIMULATION_STEP);
+    if (sample.time >= nextSampleTime) {
+      timeSeries.push(sample);
+      nextSampleTime += options.interval;
+    }
+    
+    const measurements = BreathMonitor.processSample(sample);
+    ScenarioEngine.update(sample, measurements);
+    if (measurements) {
+      breaths.push(measurements);
+      lastBreathTime = sample.time;
+    } else if (sample.time - lastBreathTime > MAX_BREATH_TIME) {
+      console.error(`No breath for ${MAX_BREATH_TIME / 1000}s, stopping after ${breaths.length} breaths`);
+      break;
+    }
+  }
+  
+  return { seed: seed, timeSeries: timeSeries, breaths: breaths, events: ScenarioEngine.getLog() };
+}
+
+// Keep only the columns written to the output
+function selectColumns(rows, columns) {
+  return rows.map(row => {
+    const selected = {};
+    columns.forEach(column => {
+      selected[column] = row[column];
+    });
+    return selected;
+  });
+}
+
+// Write the results in the requested format
+function writeResults(results, config, options) {
+  if (!options.out) {
+    if (options.format === 'json') {
+      process.stdout.write(JSON.stringify(getJSONOutput(results, config, options), null, 2) + '\n');
+    } else {
+      process.stdout.write(toCSV(results.breaths, BREATH_COLUMNS));
+    }
+    return;
+  }
+  
+  const directory = path.dirname(options.out);
+  if (!fs.existsSync(directory)) fs.mkdirSync(directory, { recursive: true });
+  
+  if (options.format === 'json') {
+    fs.writeFileSync(options.out + '.json', JSON.stringify(getJSONOutput(results, config, options), null, 2));
+  } else {
+    fs.writeFileSync(options.out + '-timeseries.csv', toCSV(results.timeSeries, TIME_SERIES_COLUMNS));
+    fs.writeFileSync(options.out + '-breaths.csv', toCSV(results.breaths, BREATH_COLUMNS));
+    if (results.events.length > 0) {
+      fs.writeFileSync(options.out + '-events.csv', toCSV(results.events, EVENT_COLUMNS));
+    }
+  }
+}
+
+// Helper function to put the whole run in one JSON document
+function getJSONOutput(results, config, options) {
+  return {
+    config: config,
+    seed: results.seed,
+    interval: options.interval,
+    timeSeries: selectColumns(results.timeSeries, TIME_SERIES_COLUMNS),
+    breaths: results.breaths,
+    events: results.events
+  };
+}
+
+// Entry point
+function main() {
+  let options;
+  try {
+    options = parseArguments(process.argv.slice(2));
+  } catch (error) {
+    console.error(error.message);
+    console.error('Run with --help for usage.');
+    process.exit(1);
+  }
+  
+  if (options.help) {
+    console.log('Usage: node ventsim-cli.js [--config file.json] [--scenario file.json] [--breaths 20]');
+    console.log('                           [--seed 1] [--interval 20] [--format csv|json] [--out prefix]');
+    return;
+  }
+  
+  let config, scenario;
+  try {
+    config = loadConfiguration(options);
+    scenario = loadScenarioFile(options);
+  } catch (error) {
+    console.error('Could not read input: ' + error.message);
+    process.exit(1);
+  }
+  
+  const results = runExperiment(config, options, scenario);
+  writeResults(results, config, options);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  runExperiment: runExperiment,
+  toCSV: toCSV
+};
\ No newline at end of file
@@ -1,48 +1,99 @@
 // waveform-display.js - Complete replacement file
 
-// Canvas and context references
-let pressureCanvas, pressureCtx;
-let volumeCanvas, volumeCtx;
-let flowCanvas, flowCtx;
+// Waveform channels, drawn top to bottom. Bipolar channels are centred on zero;
+// `scales` are the manual full-scale values offered for each channel.
+const WAVEFORM_CHANNELS = {
+  pressure: { canvasId: 'pressure-canvas', label: 'Pressure (cmH2O)', unit: 'cmH2O', color: 'red', bipolar: false, scales: [20, 40, 60, 80] },
+  volume: { canvasId: 'volume-canvas', label: 'Volume (mL)', unit: 'mL', color: 'blue', bipolar: false, scales: [250, 500, 1000, 2000] },
+  flow: { canvasId: 'flow-canvas', label: 'Flow (L/min)', unit: 'L/min', color: 'green', bipolar: true, scales: [30, 60, 120, 180] },
+  co2: { canvasId: 'co2-canvas', label: 'CO2 (mmHg)', unit: 'mmHg', color: 'orange', bipolar: false, scales: [40, 60, 80, 100] }
+};
+
+const WAVEFORM_PADDING = 40;     // Padding from edges (px)
+const BUFFER_CAPACITY = 4096;    // Samples kept: 30 s at up to ~130 samples per second
+const MAX_SAMPLE_GAP = 1000;     // Samples further apart than this are not joined up (ms)
+const CURSOR_GRAB_DISTANCE = 8;  // How close a click must be to pick up a cursor (px)
+const CLICK_DISTANCE = 3;        // Mouse movement below which a drag counts as a click (px)
+const MAX_ZOOM = 20;
+const ZOOM_STEP = 1.25;
+const AUTO_SCALE_HEADROOM = 1.1; // Auto-scaling leaves this much room above the largest value
+const MIN_AUTO_SCALE = 5;        // Smallest full scale auto-scaling picks, so noise is not blown up
+
+// Canvas, context, scale and sample values for each channel
+let channels = createChannels();
+
+// Ring buffer of sample times shared by all channels; each channel keeps its
+// values at the same indices, so one sample updates every channel together
+const sampleTimes = new Float64Array(BUFFER_CAPACITY);
+let bufferStart = 0;             // Index of the oldest sample
+let bufferCount = 0;
+
+// Whether a render is already waiting for the next animation frame
+let renderRequested = false;
+
+// Breath-by-breath end-tidal CO2 shown with the capnogram
+let endTidalCO2 = null;
 
-// Data arrays for waveforms
-let pressureData = [];
-let volumeData = [];
-let flowData = [];
+// Time shown at the right edge while replaying a recorded session (null when live)
+let replayTime = null;
+
+// Time shown at the right edge while frozen (null when running)
+let frozenTime = null;
+let panOffset = 0;               // How far the frozen view has been moved back in time (ms)
+
+// Zoom factors: horizontal shortens the visible time, vertical shrinks the value range
+let zoomX = 1;
+let zoomY = 1;
+
+// Measurement cursors (times in ms, null when not placed)
+let cursors = [null, null];
+let dragState = null;            // Cursor being dragged, or pan start, while the mouse is down
+let listenersAttached = false;
 
 // Display settings
 let timeScale = 10; // seconds visible on screen
-let yScalePressure = 50; // cmH2O max
-let yScaleVolume = 800; // mL max
-let yScaleFlow = 60; // L/min max
+
+// Create the channels with empty value buffers
+function createChannels() {
+  const created = {};
+  Object.keys(WAVEFORM_CHANNELS).forEach(type => {
+    created[type] = {
+      ...WAVEFORM_CHANNELS[type],
+      canvas: null,
+      ctx: null,
+      values: new Float32Array(BUFFER_CAPACITY),
+      scale: 'auto' // 'auto' or a manual full-scale value
+    };
+  });
+  return created;
+}
 
 // Initialize all waveform displays
 function initializeWaveformDisplays() {
-  // Get canvas references
-  pressureCanvas = document.getElementById('pressure-canvas');
-  volumeCanvas = document.getElementById('volume-canvas');
-  flowCanvas = document.getElementById('flow-canvas');
-
-  // Get drawing contexts
-  if (pressureCanvas) pressureCtx = pressureCanvas.getContext('2d');
-  if (volumeCanvas) volumeCtx = volumeCanvas.getContext('2d');
-  if (flowCanvas) flowCtx = flowCanvas.getContext('2d');
-
+  Object.values(channels).forEach(channel => {
+    channel.canvas = document.getElementById(channel.canvasId);
+    channel.ctx = channel.canvas ? channel.canvas.getContext('2d') : null;
+  });
+  
   // Set up canvases
   setupWaveformCanvases();
+  setupScaleControls();
   
-  // Initial render of empty waveforms
-  renderAllWaveforms();
+  // Buttons, mouse and window listeners are attached once however often this runs
+  if (!listenersAttached) {
+    listenersAttached = true;
+    setupMeasurementControls();
+    listenForSimulationUpdates();
+  }
   
-  // Set a timeout to refresh again after data is likely loaded
-  setTimeout(renderAllWaveforms, 200);
+  // Initial render of empty waveforms
+  requestRender();
 }
 
 // Set up canvas dimensions properly
 function setupWaveformCanvases() {
-  const canvases = [pressureCanvas, volumeCanvas, flowCanvas];
-  
-  canvases.forEach(canvas => {
+  Object.values(channels).forEach(channel => {
+    const canvas = channel.canvas;
     if (!canvas) return;
     
     // Get the computed dimensions of the container
@@ -55,60 +106,193 @@ function setupWaveformCanvases() {
   });
 }
 
-// Main function to refresh all waveforms
-function renderAllWaveforms() {
-  renderPressureWaveform();
-  renderVolumeWaveform();
-  renderFlowWaveform();
+// Wire up the freeze and zoom buttons and the mouse on each canvas
+function setupMeasurementControls() {
+  const freezeButton = document.getElementById('freeze-button');
+  if (freezeButton) {
+    freezeButton.addEventListener('click', toggleFreeze);
+  }
+  
+  const zoomResetButton = document.getElementById('zoom-reset-button');
+  if (zoomResetButton) {
+    zoomResetButton.addEventListener('click', resetZoom);
+  }
+  
+  Object.values(channels).forEach(channel => {
+    if (!channel.canvas) return;
+    channel.canvas.addEventListener('mousedown', handleMouseDown);
+    channel.canvas.addEventListener('wheel', handleWheel, { passive: false });
+  });
+  window.addEventListener('mousemove', handleMouseMove);
+  window.addEventListener('mouseup', handleMouseUp);
 }
 
-// Render pressure waveform
-function renderPressureWaveform() {
-  if (!pressureCanvas || !pressureCtx) return;
+// Build a scale selector for each channel: auto or one of the manual scales
+function setupScaleControls() {
+  const container = document.getElementById('waveform-scale-controls');
+  if (!container) return;
+  container.innerHTML = '';
   
-  // Clear canvas
-  pressureCtx.clearRect(0, 0, pressureCanvas.width, pressureCanvas.height);
+  Object.keys(channels).forEach(type => {
+    const channel = channels[type];
+    
+    const label = document.createElement('label');
+    label.textContent = channel.label.split(' ')[0] + ' ';
+    
+    const selector = document.createElement('select');
+    selector.id = type + '-scale';
+    ['auto'].concat(channel.scales).forEach(scale => {
+      const option = document.createElement('option');
+      option.value = scale;
+      option.textContent = scale === 'auto' ? 'Auto' : (channel.bipolar ? '±' : '') + scale;
+      selector.appendChild(option);
+    });
+    selector.value = channel.scale;
+    selector.addEventListener('change', function(e) {
+      setChannelScale(type, e.target.value === 'auto' ? 'auto' : parseFloat(e.target.value));
+    });
+    
+    label.appendChild(selector);
+    container.appendChild(label);
+  });
+}
+
+// Render once at the next animation frame, however many updates arrive before it
+function requestRender() {
+  if (renderRequested) return;
+  renderRequested = true;
   
-  // Draw axes
-  drawAxes(pressureCtx, pressureCanvas, "Pressure (cmH2O)", yScalePressure);
+  requestAnimationFrame(function() {
+    renderRequested = false;
+    renderAllWaveforms();
+  });
+}
+
+// Main function to refresh all waveforms
+function renderAllWaveforms() {
+  const view = getView();
   
-  // Draw waveform
-  drawWaveform(pressureCtx, pressureCanvas, pressureData, yScalePressure, 'red');
+  Object.keys(channels).forEach(type => {
+    renderChannel(type, view);
+  });
+  
+  renderCursorReadout();
 }
 
-// Render volume waveform
-function renderVolumeWaveform() {
-  if (!volumeCanvas || !volumeCtx) return;
+// Render one channel: axes, trace, cursors and readouts
+function renderChannel(type, view) {
+  const channel = channels[type];
+  if (!channel.canvas || !channel.ctx) return;
+  
+  const ctx = channel.ctx;
+  const range = getChannelRange(channel, view);
   
   // Clear canvas
-  volumeCtx.clearRect(0, 0, volumeCanvas.width, volumeCanvas.height);
+  ctx.clearRect(0, 0, channel.canvas.width, channel.canvas.height);
   
   // Draw axes
-  drawAxes(volumeCtx, volumeCanvas, "Volume (mL)", yScaleVolume);
+  drawAxes(ctx, channel.canvas, channel.label, range, view);
   
   // Draw waveform
-  drawWaveform(volumeCtx, volumeCanvas, volumeData, yScaleVolume, 'blue');
+  drawWaveform(ctx, channel.canvas, channel.values, range, channel.color, view);
+  
+  // Draw cursors with this channel's values
+  cursors.forEach((time, index) => {
+    if (time !== null) drawCursor(ctx, channel, time, index, view);
+  });
+  
+  // Show which scale is in use
+  ctx.font = '11px Arial';
+  ctx.fillStyle = '#666';
+  ctx.textAlign = 'left';
+  ctx.fillText((channel.scale === 'auto' ? 'Auto ' : 'Manual ') + formatRange(range), WAVEFORM_PADDING + 5, WAVEFORM_PADDING - 10);
+  
+  // Draw breath-by-breath EtCO2 readout
+  if (type === 'co2' && endTidalCO2 !== null) {
+    ctx.font = 'bold 14px Arial';
+    ctx.fillStyle = '#333';
+    ctx.textAlign = 'right';
+    ctx.fillText('EtCO2 ' + endTidalCO2.toFixed(0) + ' mmHg', channel.canvas.width - 45, 30);
+  }
+  
+  if (frozenTime !== null) {
+    ctx.font = 'bold 12px Arial';
+    ctx.fillStyle = '#1565c0';
+    ctx.textAlign = 'center';
+    ctx.fillText('FROZEN', channel.canvas.width / 2, WAVEFORM_PADDING - 10);
+  }
 }
 
-// Render flow waveform
-function renderFlowWaveform() {
-  if (!flowCanvas || !flowCtx) return;
-  
-  // Clear canvas
-  flowCtx.clearRect(0, 0, flowCanvas.width, flowCanvas.height);
+// Value range shown for a channel: { min, max }. Auto-scaling fits the visible
+// data; a manual scale is fixed. Vertical zoom narrows either one.
+function getChannelRange(channel, view) {
+  let max, min;
+  if (channel.scale === 'auto') {
+    let largest = 0;
+    let smallest = 0;
+    for (let k = findFirstAfter(view.start); k < bufferCount; k++) {
+      const index = getBufferIndex(k);
+      if (sampleTimes[index] > view.end) break;
+      largest = Math.max(largest, channel.values[index]);
+      smallest = Math.min(smallest, channel.values[index]);
+    }
+    
+    if (channel.bipolar) {
+      max = roundUpScale(Math.max(largest, -smallest) * AUTO_SCALE_HEADROOM);
+      min = -max;
+    } else {
+      max = roundUpScale(largest * AUTO_SCALE_HEADROOM);
+      // Unipolar channels still show values that dip below zero
+      min = smallest < 0 ? -roundUpScale(-smallest * AUTO_SCALE_HEADROOM) : 0;
+    }
+  } else {
+    max = channel.scale;
+    min = channel.bipolar ? -max : 0;
+  }
   
-  // Draw axes
-  drawAxes(flowCtx, flowCanvas, "Flow (L/min)", yScaleFlow);
+  return { min: min / zoomY, max: max / zoomY };
+}
+
+// Round a full-scale value up to 1, 2 or 5 times a power of ten
+function roundUpScale(value) {
+  const target = Math.max(value, MIN_AUTO_SCALE);
+  const magnitude = Math.pow(10, Math.floor(Math.log10(target)));
+  const step = [1, 2, 5, 10].find(multiple => multiple * magnitude >= target);
+  return step * magnitude;
+}
+
+// Describe a range for the scale label, e.g. "±60" or "0–50"
+function formatRange(range) {
+  const decimals = range.max < 10 ? 1 : 0;
+  if (range.min === -range.max) return '±' + range.max.toFixed(decimals);
+  return range.min.toFixed(decimals) + '–' + range.max.toFixed(decimals);
+}
+
+// Map a value to a y position inside the plot area
+function valueToY(canvas, value, range) {
+  const drawHeight = canvas.height - 2 * WAVEFORM_PADDING;
+  return WAVEFORM_PADDING + drawHeight * (range.max - value) / (range.max - range.min);
+}
+
+// Time window on screen: right edge and visible span (ms). Live, the newest
+// sample is at the right edge and the trace scrolls left.
+function getView() {
+  let end = getLatestTime();
+  if (frozenTime !== null) {
+    end = frozenTime - panOffset;
+  } else if (replayTime !== null) {
+    end = replayTime;
+  }
   
-  // Draw waveform
-  drawWaveform(flowCtx, flowCanvas, flowData, yScaleFlow, 'green');
+  const span = timeScale * 1000 / zoomX;
+  return { start: end - span, end: end, span: span };
 }
 
 // Helper function to draw axes
-function drawAxes(ctx, canvas, label, maxValue) {
+function drawAxes(ctx, canvas, label, range, view) {
   const width = canvas.width;
   const height = canvas.height;
-  const padding = 40; // Padding from edges
+  const padding = WAVEFORM_PADDING;
   
   ctx.strokeStyle = '#888';
   ctx.lineWidth = 1;
@@ -135,11 +319,25 @@ function drawAxes(ctx, canvas, label, maxValue) {
   ctx.fillText(label, 0, 0);
   ctx.restore();
   
+  // Draw the zero line across bipolar and below-zero ranges
+  if (range.min < 0) {
+    const zeroY = valueToY(canvas, 0, range);
+    ctx.save();
+    ctx.strokeStyle = '#bbb';
+    ctx.setLineDash([2, 2]);
+    ctx.beginPath();
+    ctx.moveTo(padding, zeroY);
+    ctx.lineTo(width - padding, zeroY);
+    ctx.stroke();
+    ctx.restore();
+  }
+  
   // Draw Y axis ticks
-  const numTicks = 5;
+  const numTicks = range.min < 0 && range.max > 0 ? 4 : 5;
+  const decimals = range.max - range.min < 10 ? 1 : 0;
   for (let i = 0; i <= numTicks; i++) {
     const y = padding + (height - 2 * padding) * (1 - i / numTicks);
-    const value = (maxValue * i / numTicks).toFixed(0);
+    const value = (range.min + (range.max - range.min) * i / numTicks).toFixed(decimals);
     
     ctx.beginPath();
     ctx.moveTo(padding - 5, y);
@@ -154,7 +352,7 @@ function drawAxes(ctx, canvas, label, maxValue) {
   const timePoints = 5;
   for (let i = 0; i <= timePoints; i++) {
     const x = padding + (width - 2 * padding) * (i / timePoints);
-    const value = (timeScale * i / timePoints).toFixed(1);
+    const value = (view.span / 1000 * i / timePoints).toFixed(1);
     
     ctx.beginPath();
     ctx.moveTo(x, height - padding);
@@ -167,103 +365,409 @@ function drawAxes(ctx, canvas, label, maxValue) {
 }
 
 // Helper function to draw waveform
-function drawWaveform(ctx, canvas, data, maxValue, color) {
-  if (!data || data.length < 2) return;
+function drawWaveform(ctx, canvas, values, range, color, view) {
+  if (bufferCount < 2) return;
   
-  const width = canvas.width;
   const height = canvas.height;
-  const padding = 40;
-  
-  const drawWidth = width - 2 * padding;
+  const padding = WAVEFORM_PADDING;
   const drawHeight = height - 2 * padding;
   
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(padding, padding, canvas.width - 2 * padding, drawHeight);
+  ctx.clip();
+  
   ctx.strokeStyle = color;
   ctx.lineWidth = 2;
   ctx.beginPath();
   
-  const timeRange = timeScale * 1000; // convert to ms
-  const currentTime = Date.now();
-  const startTime = currentTime - timeRange;
-  
-  // Find data points within the time range
-  const visibleData = data.filter(point => point.time > startTime && point.time <= currentTime);
-  
-  if (visibleData.length < 2) return;
-  
-  for (let i = 0; i < visibleData.length; i++) {
-    const point = visibleData[i];
-    const x = padding + drawWidth * ((point.time - startTime) / timeRange);
-    const y = padding + drawHeight * (1 - point.value / maxValue);
+  // Start one sample before the window so the trace reaches the left edge
+  let previousTime = null;
+  for (let k = Math.max(findFirstAfter(view.start) - 1, 0); k < bufferCount; k++) {
+    const index = getBufferIndex(k);
+    const time = sampleTimes[index];
+    const x = timeToX(canvas, time, view);
+    const y = valueToY(canvas, values[index], range);
     
-    if (i === 0) {
+    // Leave a gap where the display was frozen
+    if (previousTime === null || time - previousTime > MAX_SAMPLE_GAP) {
       ctx.moveTo(x, y);
     } else {
       ctx.lineTo(x, y);
     }
+    previousTime = time;
+    
+    if (time > view.end) break;
   }
   
   ctx.stroke();
+  ctx.restore();
 }
 
-// Update data for waveforms
-function updateWaveformData(type, value) {
-  const time = Date.now();
-  
-  switch(type) {
-    case 'pressure':
-      pressureData.push({ time, value });
-      // Keep only recent data points (last 30 seconds)
-      pressureData = pressureData.filter(point => time - point.time < 30000);
-      break;
-    case 'volume':
-      volumeData.push({ time, value });
-      volumeData = volumeData.filter(point => time - point.time < 30000);
-      break;
-    case 'flow':
-      flowData.push({ time, value });
-      flowData = flowData.filter(point => time - point.time < 30000);
-      break;
+// Helper function to draw a cursor line with the channel's value at that time
+function drawCursor(ctx, channel, time, index, view) {
+  if (time < view.start || time > view.end) return;
+  
+  const canvas = channel.canvas;
+  const x = timeToX(canvas, time, view);
+  
+  ctx.strokeStyle = index === 0 ? '#1565c0' : '#6a1b9a';
+  ctx.lineWidth = 1;
+  ctx.setLineDash([4, 3]);
+  ctx.beginPath();
+  ctx.moveTo(x, WAVEFORM_PADDING);
+  ctx.lineTo(x, canvas.height - WAVEFORM_PADDING);
+  ctx.stroke();
+  ctx.setLineDash([]);
+  
+  const value = getValueAt(channel.values, time);
+  if (value === null) return;
+  
+  ctx.font = '12px Arial';
+  ctx.fillStyle = ctx.strokeStyle;
+  ctx.textAlign = 'left';
+  ctx.fillText(value.toFixed(1) + ' ' + channel.unit, x + 4, WAVEFORM_PADDING + 12 + index * 14);
+}
+
+// Show cursor values, and the differences between two cursors, as text
+function renderCursorReadout() {
+  const readout = document.getElementById('cursor-readout');
+  if (!readout) return;
+  
+  const placed = cursors.filter(time => time !== null);
+  if (placed.length === 0) {
+    readout.textContent = frozenTime !== null ? 'Click a waveform to place a cursor (shift-click for a second)' : '';
+    return;
+  }
+  
+  const describe = time => Object.keys(channels).map(type => {
+    const value = getValueAt(channels[type].values, time);
+    return type + ' ' + (value === null ? '--' : value.toFixed(1));
+  }).join(', ');
+  
+  let text = 'A: ' + describe(placed[0]);
+  if (placed.length === 2) {
+    const deltaTime = cursors[1] - cursors[0];
+    text += ' | B: ' + describe(cursors[1]) +
+      ` | Δt ${(deltaTime / 1000).toFixed(2)} s, ΔV ${formatDelta('volume', 0)} mL, ΔP ${formatDelta('pressure', 1)} cmH2O`;
+  }
+  readout.textContent = text;
+}
+
+// Difference in a channel's value from cursor A to cursor B
+function formatDelta(type, decimals) {
+  const valueA = getValueAt(channels[type].values, cursors[0]);
+  const valueB = getValueAt(channels[type].values, cursors[1]);
+  return valueA === null || valueB === null ? '--' : (valueB - valueA).toFixed(decimals);
+}
+
+// Value of a channel at a time, interpolated between samples
+function getValueAt(values, time) {
+  const next = findFirstAfter(time);
+  if (next === 0) return null;
+  
+  const before = getBufferIndex(next - 1);
+  if (sampleTimes[before] === time) return values[before];
+  if (next === bufferCount) return null;
+  
+  const after = getBufferIndex(next);
+  const fraction = (time - sampleTimes[before]) / (sampleTimes[after] - sampleTimes[before]);
+  return values[before] + (values[after] - values[before]) * fraction;
+}
+
+// Buffer index of the k-th oldest sample
+function getBufferIndex(k) {
+  return (bufferStart + k) % BUFFER_CAPACITY;
+}
+
+// Position (0 = oldest) of the first sample after a time
+function findFirstAfter(time) {
+  let low = 0;
+  let high = bufferCount;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sampleTimes[getBufferIndex(middle)] <= time) {
+      low = middle + 1;
+    } else {
+      high = middle;
+    }
+  }
+  return low;
+}
+
+function getLatestTime() {
+  return bufferCount > 0 ? sampleTimes[getBufferIndex(bufferCount - 1)] : 0;
+}
+
+function getOldestTime() {
+  return bufferCount > 0 ? sampleTimes[bufferStart] : 0;
+}
+
+// Add one sample to every channel, overwriting the oldest when the buffer is full
+function pushSample(sample) {
+  const index = getBufferIndex(bufferCount);
+  if (bufferCount < BUFFER_CAPACITY) {
+    bufferCount++;
+  } else {
+    bufferStart = (bufferStart + 1) % BUFFER_CAPACITY;
+  }
+  
+  sampleTimes[index] = sample.time;
+  Object.keys(channels).forEach(type => {
+    channels[type].values[index] = sample[type];
+  });
+}
+
+function clearSamples() {
+  bufferStart = 0;
+  bufferCount = 0;
+}
+
+// Convert between a time and a canvas x position
+function timeToX(canvas, time, view) {
+  return WAVEFORM_PADDING + (canvas.width - 2 * WAVEFORM_PADDING) * ((time - view.start) / view.span);
+}
+
+function xToTime(canvas, x, view) {
+  return view.start + view.span * (x - WAVEFORM_PADDING) / (canvas.width - 2 * WAVEFORM_PADDING);
+}
+
+// Mouse position relative to the canvas
+function getCanvasX(canvas, e) {
+  return e.clientX - canvas.getBoundingClientRect().left;
+}
+
+// Pick up a cursor, or start a click or pan, on a frozen display
+function handleMouseDown(e) {
+  if (frozenTime === null) return;
+  
+  const canvas = e.currentTarget;
+  const x = getCanvasX(canvas, e);
+  const view = getView();
+  
+  const grabbed = cursors.findIndex(time => time !== null &&
+    Math.abs(timeToX(canvas, time, view) - x) <= CURSOR_GRAB_DISTANCE);
+  
+  dragState = {
+    canvas: canvas,
+    cursor: grabbed >= 0 ? grabbed : null,
+    cursorToPlace: e.shiftKey ? 1 : 0,
+    startX: x,
+    startPanOffset: panOffset,
+    moved: false
+  };
+  e.preventDefault();
+}
+
+// Drag a cursor or pan the frozen display
+function handleMouseMove(e) {
+  if (!dragState) return;
+  
+  const canvas = dragState.canvas;
+  const x = getCanvasX(canvas, e);
+  if (Math.abs(x - dragState.startX) > CLICK_DISTANCE) dragState.moved = true;
+  if (!dragState.moved) return;
+  
+  const view = getView();
+  if (dragState.cursor !== null) {
+    cursors[dragState.cursor] = xToTime(canvas, x, view);
+  } else {
+    // Dragging right moves back in time, like pulling the paper
+    const msPerPixel = view.span / (canvas.width - 2 * WAVEFORM_PADDING);
+    setPanOffset(dragState.startPanOffset + (x - dragState.startX) * msPerPixel);
   }
+  requestRender();
+}
+
+// A click without dragging places cursor A (or B with shift)
+function handleMouseUp(e) {
+  if (!dragState) return;
   
-  // Trigger a render
-  renderAllWaveforms();
+  if (!dragState.moved) {
+    const canvas = dragState.canvas;
+    cursors[dragState.cursorToPlace] = xToTime(canvas, getCanvasX(canvas, e), getView());
+    requestRender();
+  }
+  dragState = null;
+}
+
+// The wheel zooms time around the mouse; with shift it zooms the values
+function handleWheel(e) {
+  e.preventDefault();
+  const factor = e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP;
+  
+  if (e.shiftKey) {
+    zoomY = clampZoom(zoomY * factor);
+  } else {
+    // Keep the time under the mouse in place while frozen
+    const canvas = e.currentTarget;
+    const view = getView();
+    const mouseTime = xToTime(canvas, getCanvasX(canvas, e), view);
+    zoomX = clampZoom(zoomX * factor);
+    if (frozenTime !== null) {
+      const newSpan = timeScale * 1000 / zoomX;
+      const mouseFraction = (mouseTime - view.start) / view.span;
+      setPanOffset(frozenTime - (mouseTime + newSpan * (1 - mouseFraction)));
+    }
+  }
+  requestRender();
+}
+
+function clampZoom(zoom) {
+  return Math.min(Math.max(zoom, 1), MAX_ZOOM);
+}
+
+// Keep a frozen view within the stored history
+function setPanOffset(offset) {
+  const maxOffset = Math.max(frozenTime - getOldestTime() - timeScale * 1000 / zoomX, 0);
+  panOffset = Math.min(Math.max(offset, 0), maxOffset);
+}
+
+// Hold all channels at the current moment, or go back to live
+function toggleFreeze() {
+  if (frozenTime === null) {
+    freezeWaveforms();
+  } else {
+    unfreezeWaveforms();
+  }
+}
+
+function freezeWaveforms() {
+  frozenTime = replayTime !== null ? replayTime : getLatestTime();
+  panOffset = 0;
+  updateFreezeButton();
+  requestRender();
+}
+
+function unfreezeWaveforms() {
+  frozenTime = null;
+  panOffset = 0;
+  cursors = [null, null];
+  updateFreezeButton();
+  requestRender();
+}
+
+function updateFreezeButton() {
+  const freezeButton = document.getElementById('freeze-button');
+  if (freezeButton) {
+    freezeButton.textContent = frozenTime !== null ? 'Unfreeze' : 'Freeze';
+  }
+}
+
+// Go back to the full time scale and value range
+function resetZoom() {
+  zoomX = 1;
+  zoomY = 1;
+  setPanOffset(panOffset);
+  requestRender();
+}
+
+// Set a channel's full scale: 'auto' or a manual value
+function setChannelScale(type, scale) {
+  const channel = channels[type];
+  if (!channel) return;
+  
+  channel.scale = scale;
+  const selector = document.getElementById(type + '-scale');
+  if (selector) selector.value = scale;
+  requestRender();
+  notifyOptionsChanged();
+}
+
+// Add one simulation step to all channels. While frozen or replaying the
+// display holds still, so live samples are left out.
+function addWaveformSample(results) {
+  if (replayTime !== null || frozenTime !== null) return;
+  
+  pushSample(results);
+  endTidalCO2 = results.etco2;
+  requestRender();
+}
+
+// Show recorded samples (in simulation time) ending at the given time
+function showReplay(samples, time) {
+  replayTime = time;
+  clearSamples();
+  samples.slice(-BUFFER_CAPACITY).forEach(pushSample);
+  endTidalCO2 = samples.length > 0 ? samples[samples.length - 1].etco2 : null;
+  
+  requestRender();
+}
+
+// Leave replay and go back to live data
+function endReplay() {
+  replayTime = null;
+  clearSamples();
+  endTidalCO2 = null;
+  unfreezeWaveforms();
 }
 
 // Update time scale
 function updateTimeScale(newScale) {
   timeScale = newScale;
-  renderAllWaveforms();
+  const selector = document.getElementById('time-scale-control');
+  if (selector) selector.value = newScale;
+  setPanOffset(panOffset);
+  requestRender();
+  notifyOptionsChanged();
+}
+
+// Get the display options: { timeScale, scales: { pressure: 'auto' | full scale, ... } }
+function getDisplayOptions() {
+  const scales = {};
+  Object.keys(channels).forEach(type => {
+    scales[type] = channels[type].scale;
+  });
+  return { timeScale: timeScale, scales: scales };
+}
+
+// Apply saved display options; unknown channels and scales not offered are ignored
+function setDisplayOptions(options) {
+  if (typeof options.timeScale === 'number' && options.timeScale > 0) {
+    updateTimeScale(options.timeScale);
+  }
+  Object.keys(options.scales || {}).forEach(type => {
+    const scale = options.scales[type];
+    if (channels[type] && (scale === 'auto' || channels[type].scales.includes(scale))) {
+      setChannelScale(type, scale);
+    }
+  });
+}
+
+// Tell observers (e.g. the saved configuration) that the display options changed
+function notifyOptionsChanged() {
+  document.dispatchEvent(new CustomEvent('waveform-options-changed', { detail: getDisplayOptions() }));
 }
 
 // Create a simulation update listener
 function listenForSimulationUpdates() {
   // Listen for custom event
   document.addEventListener('simulation-updated', function(e) {
-    renderAllWaveforms();
+    requestRender();
   });
   
   // Also listen for window resize
   window.addEventListener('resize', function() {
     setupWaveformCanvases();
-    renderAllWaveforms();
+    requestRender();
   });
 }
 
-// Start periodic refresh (as backup)
-function startPeriodicRefresh() {
-  setInterval(renderAllWaveforms, 100); // Refresh 10 times per second
-}
-
 // Export functions
 window.WaveformDisplay = {
-  initialize: function() {
-    initializeWaveformDisplays();
-    listenForSimulationUpdates();
-    startPeriodicRefresh();
-  },
-  updateData: updateWaveformData,
+  initialize: initializeWaveformDisplays,
+  addSample: addWaveformSample,
   updateTimeScale: updateTimeScale,
-  refresh: renderAllWaveforms
+  setScale: setChannelScale,
+  getOptions: getDisplayOptions,
+  setOptions: setDisplayOptions,
+  freeze: freezeWaveforms,
+  unfreeze: unfreezeWaveforms,
+  toggleFreeze: toggleFreeze,
+  resetZoom: resetZoom,
+  showReplay: showReplay,
+  endReplay: endReplay,
+  refresh: requestRender
 };
 
 // Initialize on load